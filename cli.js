@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const path = require("path");
+const postcss = require("postcss");
+const { glob } = require("tinyglobby");
+const varFallback = require("./index");
+const { relativePath, buildReport } = require("./lib/report");
+
+const USAGE = `Usage: postcss-auto-var-fallback <input...> (--fallbacks <path> | --local-variables) [options]
+
+Adds fallback values to CSS variables in the input files (paths or glob patterns).
+
+Options:
+  -f, --fallbacks <path>           Fallback source: a CSS, JSON or JS file, a glob or a directory.
+                                   Repeat the option for several sources; later ones take precedence.
+                                   Optional with --local-variables.
+  -o, --out-dir <dir>              Write results to this directory instead of overwriting the inputs
+      --check                      Don't write anything; exit with 1 if a file would change or uses
+                                   unresolved variables
+      --json                       Print the report of inserted fallbacks as JSON
+      --existing-fallback <mode>   keep, replace, fill-nested or warn-on-mismatch
+      --local-variables            Also use the variables defined in each input file
+  -h, --help                       Show this help
+`;
+
+// Options taking a value, by flag
+const VALUE_OPTIONS = {
+    "-f": "fallbacks",
+    "--fallbacks": "fallbacks",
+    "-o": "outDir",
+    "--out-dir": "outDir",
+    "--existing-fallback": "existingFallback"
+};
+
+// Boolean options, by flag
+const FLAG_OPTIONS = {
+    "--check": "check",
+    "--json": "json",
+    "--local-variables": "localVariables",
+    "-h": "help",
+    "--help": "help"
+};
+
+/**
+ * Parses command line arguments
+ * @param {Array<string>} argv - Arguments without the node binary and script
+ * @returns {Object} Parsed options with `inputs` and `fallbacks` lists
+ */
+const parseArgs = (argv) => {
+    const options = { inputs: [], fallbacks: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].startsWith("--") ? argv[i].split(/=(.*)/s) : [argv[i]];
+
+        if (VALUE_OPTIONS[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+
+            if (value === undefined) {
+                throw new Error(`Missing value for ${flag}`);
+            }
+
+            if (VALUE_OPTIONS[flag] === "fallbacks") {
+                options.fallbacks.push(value);
+            } else {
+                options[VALUE_OPTIONS[flag]] = value;
+            }
+        } else if (FLAG_OPTIONS[flag]) {
+            options[FLAG_OPTIONS[flag]] = true;
+        } else if (flag.startsWith("-") && flag !== "-") {
+            throw new Error(`Unknown option ${flag}`);
+        } else {
+            options.inputs.push(flag);
+        }
+    }
+
+    return options;
+};
+
+/**
+ * Runs the CLI
+ * @param {Array<string>} argv - Arguments without the node binary and script
+ * @param {Object} io - Output streams
+ * @param {stream.Writable} io.stdout - Standard output
+ * @param {stream.Writable} io.stderr - Standard error
+ * @returns {Promise<number>} Exit code
+ */
+const run = async (argv, { stdout = process.stdout, stderr = process.stderr } = {}) => {
+    let options;
+
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        stdout.write(USAGE);
+        return 0;
+    }
+
+    // Without fallback sources, only the variables of each input can provide fallbacks
+    if (options.inputs.length === 0 || (options.fallbacks.length === 0 && !options.localVariables)) {
+        stderr.write(USAGE);
+        return 2;
+    }
+
+    const files = Array.from(new Set(await glob(options.inputs, { absolute: true, onlyFiles: true })))
+        .map((file) => path.normalize(file))
+        .sort();
+
+    if (files.length === 0) {
+        stderr.write(`No input files match ${options.inputs.join(", ")}\n`);
+        return 1;
+    }
+
+    // Outputs mirror the inputs' paths from the working directory, which those outside it would escape
+    const outside = options.outDir ? files.find((file) => /^\.\.(?:[\\/]|$)/.test(relativePath(file)) || path.isAbsolute(relativePath(file))) : null;
+
+    if (outside) {
+        stderr.write(`Input ${outside} is outside the working directory, so it can't be written to ${options.outDir}\n`);
+        return 2;
+    }
+
+    let plugin;
+
+    try {
+        plugin = varFallback({
+            // Relative to the working directory rather than to each input file
+            fallbacks: options.fallbacks.map((fallback) => path.resolve(fallback)),
+            existingFallback: options.existingFallback,
+            localVariables: options.localVariables
+        });
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const reports = new Map();
+    const changed = [];
+    let failed = false;
+
+    for (const file of files) {
+        const to = options.outDir ? path.resolve(options.outDir, path.relative(process.cwd(), file)) : file;
+        let result;
+
+        try {
+            const css = await fs.readFile(file, "utf8");
+            result = await postcss([plugin]).process(css, { from: file, to });
+
+            if (result.css !== css) {
+                changed.push(relativePath(file));
+            }
+
+            if (!options.check && (options.outDir || result.css !== css)) {
+                await fs.mkdir(path.dirname(to), { recursive: true });
+                await fs.writeFile(to, result.css);
+            }
+        } catch (error) {
+            failed = true;
+            stderr.write(`${error.name === "CssSyntaxError" ? error.toString() : `${relativePath(file)}: ${error.message}`}\n`);
+            continue;
+        }
+
+        result.warnings().forEach((warning) => {
+            stderr.write(`${relativePath(file)}${warning.line ? `:${warning.line}:${warning.column}` : ""}: ${warning.text}\n`);
+        });
+
+        const fileReport = result.messages.find((message) => message.type === "var-fallback-report");
+
+        if (fileReport) {
+            const { fallbacks, unresolved, circular } = fileReport;
+            reports.set(relativePath(file), { fallbacks, unresolved, circular });
+        }
+    }
+
+    const report = buildReport(reports);
+
+    if (options.json) {
+        stdout.write(`${JSON.stringify({ ...report, changed }, null, 2)}\n`);
+    }
+
+    if (options.check) {
+        changed.forEach((file) => stderr.write(`${file}: fallbacks missing or outdated\n`));
+        report.totals.unresolved > 0 && Object.entries(report.files).forEach(([file, entry]) => {
+            entry.unresolved.forEach(({ variable, line, column }) => {
+                stderr.write(`${file}:${line}:${column}: Unresolved variable ${variable}\n`);
+            });
+        });
+
+        return failed || changed.length > 0 || report.totals.unresolved > 0 ? 1 : 0;
+    }
+
+    return failed ? 1 : 0;
+};
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    }, (error) => {
+        process.stderr.write(`${error.message}\n`);
+        process.exitCode = 2;
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+describe("cli", () => {
+    const tempDir = path.join(__dirname, "temp-cli-files");
+
+    // Helper to create test files
+    const createTestFiles = (files) => {
+        Object.entries(files).forEach(([filename, content]) => {
+            fs.mkdirSync(path.dirname(path.join(tempDir, filename)), { recursive: true });
+            fs.writeFileSync(path.join(tempDir, filename), content);
+        });
+    };
+
+    // Helper to run the CLI inside the temp directory
+    const run = (...args) => spawnSync(process.execPath, [path.join(__dirname, "cli.js"), ...args], {
+        cwd: tempDir,
+        encoding: "utf8",
+        timeout: 10000
+    });
+
+    const read = (filename) => fs.readFileSync(path.join(tempDir, filename), "utf8");
+
+    beforeEach(() => {
+        createTestFiles({
+            "tokens/vars.css": ":root { --color: red; --space: 4px; }",
+            "src/button.css": ".button { color: var(--color); }",
+            "src/card.css": ".card { margin: var(--space, 4px); }"
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test("should rewrite input files in place", () => {
+        const { status } = run("src/*.css", "--fallbacks", "tokens/vars.css");
+
+        expect(status).toBe(0);
+        expect(read("src/button.css")).toBe(".button { color: var(--color, red); }");
+        expect(read("src/card.css")).toBe(".card { margin: var(--space, 4px); }");
+    });
+
+    test("should write to an output directory", () => {
+        const { status } = run("src/button.css", "-f", "tokens/vars.css", "--out-dir", "dist");
+
+        expect(status).toBe(0);
+        expect(read("src/button.css")).toBe(".button { color: var(--color); }");
+        expect(read("dist/src/button.css")).toBe(".button { color: var(--color, red); }");
+    });
+
+    test("should refuse to write inputs outside the working directory to an output directory", () => {
+        const { status, stderr } = spawnSync(process.execPath, [
+            path.join(__dirname, "cli.js"), "../src/button.css", "-f", "../tokens/vars.css", "--out-dir", "dist"
+        ], { cwd: path.join(tempDir, "tokens"), encoding: "utf8", timeout: 10000 });
+
+        expect(status).toBe(2);
+        expect(stderr).toContain(`Input ${path.join(tempDir, "src/button.css")} is outside the working directory`);
+        expect(fs.existsSync(path.join(tempDir, "src/dist"))).toBe(false);
+        expect(fs.readdirSync(path.join(tempDir, "tokens"))).toEqual(["vars.css"]);
+    });
+
+    test("should fail the check when a file would change", () => {
+        const { status, stderr } = run("src/*.css", "--fallbacks", "tokens/vars.css", "--check");
+
+        expect(status).toBe(1);
+        expect(stderr).toContain(`${path.join("src", "button.css")}: fallbacks missing or outdated`);
+        expect(stderr).not.toContain("card.css");
+        expect(read("src/button.css")).toBe(".button { color: var(--color); }");
+    });
+
+    test("should pass the check when every fallback is in place", () => {
+        run("src/*.css", "--fallbacks", "tokens/vars.css");
+
+        expect(run("src/*.css", "--fallbacks", "tokens/vars.css", "--check").status).toBe(0);
+    });
+
+    test("should fail the check on unresolved variables", () => {
+        createTestFiles({ "src/link.css": "a { color: var(--link-color, blue); }" });
+
+        const { status, stderr } = run("src/link.css", "--fallbacks", "tokens/vars.css", "--check");
+
+        expect(status).toBe(1);
+        expect(stderr).toContain(`${path.join("src", "link.css")}:1:12: Unresolved variable --link-color`);
+    });
+
+    test("should print the report as JSON", () => {
+        const { status, stdout } = run("src/*.css", "--fallbacks=tokens/vars.css", "--check", "--json");
+        const report = JSON.parse(stdout);
+
+        expect(status).toBe(1);
+        expect(report.totals).toEqual({ files: 2, fallbacks: 2, unresolved: 0, circular: 0 });
+        expect(report.changed).toEqual([path.join("src", "button.css")]);
+        expect(report.files[path.join("src", "button.css")].fallbacks[0]).toMatchObject({
+            variable: "--color",
+            value: "red"
+        });
+    });
+
+    test("should use the variables of each input without fallback sources", () => {
+        createTestFiles({
+            "src/theme.css": ":root { --accent: blue; }\n.link { color: var(--accent); }"
+        });
+
+        expect(run("src/theme.css", "--local-variables").status).toBe(0);
+        expect(read("src/theme.css")).toBe(":root { --accent: blue; }\n.link { color: var(--accent, blue); }");
+    });
+
+    test("should report usage errors", () => {
+        expect(run("src/*.css").status).toBe(2);
+        expect(run("src/*.css", "-f", "tokens/vars.css", "--unknown").stderr).toContain("Unknown option --unknown");
+        expect(run("src/*.css", "-f", "tokens/vars.css", "--existing-fallback", "merge")).toMatchObject({
+            status: 2,
+            stderr: expect.stringContaining("Unknown existingFallback mode merge")
+        });
+        expect(run("--help").stdout).toContain("Usage: postcss-auto-var-fallback");
+    });
+});
@@ -0,0 +1,174 @@
+import type { AtRule, Declaration, Plugin as PostcssPlugin, Result } from "postcss";
+
+declare namespace postcssAutoVarFallback {
+    /** Exact name, prefix ending with `*`, regular expression or predicate */
+    type Pattern = string | RegExp | ((name: string) => boolean);
+
+    /** Nested design token object, in the W3C format or plain nested values */
+    interface TokenObject {
+        [key: string]: unknown;
+    }
+
+    /** Where a definition was declared */
+    interface Source {
+        /** Absolute path, undefined for inline tokens */
+        file?: string;
+        line?: number;
+        column?: number;
+    }
+
+    /** A definition the fallback of a variable was resolved through */
+    interface Hop extends Source {
+        variable: string;
+    }
+
+    /** A custom property definition collected from a fallback source */
+    interface Definition {
+        name: string;
+        value: string;
+        important?: boolean;
+        /** Selectors of the enclosing rule */
+        selectors: string[];
+        /** Enclosing rules, outermost first */
+        rules: string[];
+        /** Enclosing at-rules, outermost first */
+        atRules: Array<{ name: string; params: string }>;
+        /** Readable context, e.g. "@media (prefers-color-scheme: dark) :root" */
+        scope: string;
+        source: Source;
+    }
+
+    /** Declaration context passed to a custom `contextMatching` function */
+    interface DeclarationContext {
+        selectors: string[];
+        atRules: Array<{ name: string; params: string }>;
+        key: string;
+    }
+
+    interface TransformContext {
+        /** Property name, or the at-rule name prefixed with @ for at-rule params */
+        property: string;
+        decl?: Declaration;
+        atRule?: AtRule;
+        definition: Source | null;
+        chain: Hop[];
+        result: Result;
+    }
+
+    interface PropertyDescriptors {
+        syntax?: string;
+        inherits?: boolean;
+        initialValue?: string;
+    }
+
+    interface RegisterPropertiesOptions {
+        /** Write every @property rule to this file instead of the processed files */
+        file?: string;
+        inherits?: boolean;
+        overrides?: Record<string, string | PropertyDescriptors | false>;
+    }
+
+    /** Options describing the fallback sources, shared by the plugin and createResolver */
+    interface SourceOptions {
+        fallbacks?: Array<string | TokenObject>;
+        include?: Pattern | Pattern[];
+        exclude?: Pattern | Pattern[];
+        defaultScope?: string | string[] | false;
+        strictScope?: boolean;
+        tokenName?: (path: string[], token: unknown) => string;
+        cacheLocation?: string;
+        contextMatching?: boolean | "ancestor" | "exact" | ((definition: Definition, context: DeclarationContext) => boolean | number);
+        privateHost?: boolean;
+    }
+
+    interface Options extends SourceOptions {
+        errorOnEmptyGlob?: boolean;
+        existingFallback?: "replace" | "keep" | "fill-nested" | "warn-on-mismatch";
+        includeProperties?: Pattern | Pattern[];
+        excludeProperties?: Pattern | Pattern[];
+        localVariables?: boolean;
+        localPrecedence?: "high" | "low";
+        report?: boolean;
+        strict?: boolean;
+        reportFile?: string;
+        coverageFile?: string;
+        transform?: (name: string, value: string, context: TransformContext) => string | null | false | void;
+        foldCalc?: boolean;
+        downlevelColors?: boolean | "hex" | "rgb";
+        convertUnits?: "px" | "rem";
+        rootFontSize?: number;
+        staticFallback?: boolean;
+        registerProperties?: boolean | RegisterPropertiesOptions;
+        sourceComments?: boolean;
+        customProperties?: boolean;
+        keyframes?: boolean;
+        atRuleParams?: boolean | string[];
+        nestedFallbacks?: boolean;
+        maxDepth?: number;
+        maxFallbackLength?: number;
+        circularReferences?: "ignore" | "warn" | "error";
+    }
+
+    interface ResolverOptions extends SourceOptions {
+        /** Directory relative fallback paths are resolved against, defaults to the working directory */
+        cwd?: string;
+    }
+
+    interface ResolvedDefinition {
+        name: string;
+        /** Value as authored */
+        value: string;
+        /** Value with every reference resolved, null when circular */
+        resolved: string | null;
+        scope: string | null;
+        important: boolean;
+        source: Source;
+        /** The definition itself, followed by the definitions of the variables it refers to */
+        chain: Hop[];
+    }
+
+    interface Cycle {
+        /** Variables of the cycle, ending with the first one again, e.g. ["--a", "--b", "--a"] */
+        path: string[];
+        definitions: Hop[];
+        /** Variables outside the cycle that cannot be resolved because they reference it */
+        dependents: string[];
+    }
+
+    interface CoverageEntry {
+        variable: string;
+        /** Path relative to the working directory, null for inline tokens */
+        file: string | null;
+        line: number | null;
+    }
+
+    interface Coverage {
+        totals: { tokens: number; used: number; nestedOnly: number; unused: number };
+        unused: CoverageEntry[];
+        nestedOnly: CoverageEntry[];
+        /** Direct usages per variable, by processed file */
+        files: Record<string, Record<string, number>>;
+    }
+
+    interface Plugin extends PostcssPlugin {
+        /** Writes the coverage file now and summarizes it, null without `coverageFile` */
+        flushCoverage(): (Coverage & { summary: string }) | null;
+    }
+
+    interface Resolver {
+        resolve(name: string): Promise<string | null>;
+        getDefinition(name: string): Promise<ResolvedDefinition | null>;
+        listVariables(): Promise<string[]>;
+        getCycles(): Promise<Cycle[]>;
+        /** Problems found while loading the sources, such as unreadable files or globs matching nothing */
+        getWarnings(): Promise<string[]>;
+    }
+}
+
+declare const postcssAutoVarFallback: {
+    (options?: postcssAutoVarFallback.Options): postcssAutoVarFallback.Plugin;
+    postcss: true;
+    createResolver(options?: postcssAutoVarFallback.ResolverOptions): postcssAutoVarFallback.Resolver;
+};
+
+export = postcssAutoVarFallback;
@@ -1,256 +1,797 @@
 const fs = require("fs").promises;
 const path = require("path");
 const postcss = require("postcss");
+const valueParser = require("./lib/value-parser");
+const { extractLayers, extractVariables, isHostDefinition } = require("./lib/definitions");
+const { createResolver, createResolverCore, formatEmptyPattern, resolveVariable, resolveValue, expandVariable } = require("./lib/resolver");
+const { createFilter } = require("./lib/filters");
+const { suggestName } = require("./lib/suggest");
+const { relativePath, createReportWriter } = require("./lib/report");
+const { traceVariable, formatProvenance, isProvenanceComment } = require("./lib/provenance");
+const { createTransform } = require("./lib/transforms");
+const { formatCoverageSummary, createCoverageCollector } = require("./lib/coverage");
+const { formatCycle, formatTruncation } = require("./lib/cycles");
+const { describeProperty, createPropertyRule } = require("./lib/properties");
+
+// Ways to handle var() calls that already have an authored fallback
+const EXISTING_FALLBACK_MODES = ["keep", "replace", "fill-nested", "warn-on-mismatch"];
+
+// Severities of circular references
+const CIRCULAR_SEVERITIES = ["ignore", "warn", "error"];
+
+// At-rules whose params get fallbacks with `atRuleParams: true`
+const AT_RULE_PARAMS = ["media", "container", "supports"];
 
-// Cache for parsed CSS files
-const fileCache = new Map();
+/**
+ * Registers a file as a dependency of the processed CSS so that watchers
+ * (postcss-loader, Vite, postcss-cli) rebuild it when the file changes
+ * @param {Result} result - PostCSS Result object
+ * @param {string} file - Absolute path of the dependency
+ */
+const registerDependency = (result, file) => {
+    const registered = result.messages.some((message) => message.type === "dependency" && message.file === file);
+
+    if (!registered) {
+        result.messages.push({
+            type: "dependency",
+            plugin: "postcss-var-fallback",
+            file,
+            parent: result.opts.from
+        });
+    }
+};
+
+/**
+ * Registers a directory as a dependency so that watchers rebuild the processed
+ * CSS when files matching a glob are added or removed
+ * @param {Result} result - PostCSS Result object
+ * @param {string} dir - Absolute path of the directory
+ * @param {string} glob - Pattern of the watched files, relative to `dir`
+ */
+const registerDirDependency = (result, dir, glob) => {
+    const registered = result.messages.some((message) => (
+        message.type === "dir-dependency" && message.dir === dir && message.glob === glob
+    ));
+
+    if (!registered) {
+        result.messages.push({
+            type: "dir-dependency",
+            plugin: "postcss-var-fallback",
+            dir,
+            glob,
+            parent: result.opts.from
+        });
+    }
+};
 
-// Cache for resolved variable values
-const variableCache = new Map();
+/**
+ * Normalizes whitespace in a value so equivalent values compare equal
+ * @param {string} value - CSS value
+ * @returns {string} Value with collapsed whitespace
+ */
+const normalizeValue = (value) => value.trim().replace(/\s+/g, " ").replace(/\s*([,()])\s*/g, "$1");
 
 /**
- * Loads and parses a CSS file, with caching
- * @param {string} filePath - Path to the CSS file
- * @returns {Promise<postcss.Root>} Parsed CSS AST
+ * Replaces every var() in a value with its fallback
+ * @param {Array<Object>} nodes - Parsed value
+ * @returns {string|null} Value without var(), or null when a var() has no fallback
  */
-const loadCssFile = async (filePath) => {
+const applyFallbacks = (nodes) => {
+    let complete = true;
 
-    if (fileCache.has(filePath)) {
-        return fileCache.get(filePath);
-    }
+    const value = valueParser.replaceVars(nodes, ({ fallback }) => {
+        const applied = fallback ? applyFallbacks(fallback) : null;
 
-    const css = await fs.readFile(filePath, "utf8");
-    const root = postcss.parse(css, { from: filePath });
+        if (applied === null) {
+            complete = false;
+            return "";
+        }
 
-    fileCache.set(filePath, root);
+        return applied.trim();
+    });
 
-    return root;
+    return complete ? value : null;
 };
 
 /**
- * Extracts CSS variable declarations from a PostCSS Root
- * @param {postcss.Root} root - PostCSS Root node
- * @returns {Map<string, string>} Map of variable names to values
+ * Inserts a copy of a declaration with every var() replaced by its fallback
+ * before it, for browsers that drop declarations using var() altogether
+ *
+ * Nothing is inserted when a var() has no fallback or when the preceding
+ * declaration is already the same static fallback.
+ * @param {postcss.Declaration} decl - Declaration using var()
  */
-const extractVariables = (root) => {
-    const variables = new Map();
+const insertStaticFallback = (decl) => {
+    const value = applyFallbacks(valueParser.parse(decl.value));
 
-    root.walkDecls((decl) => {
-        if (decl.prop.startsWith("--")) {
-            variables.set(decl.prop, decl.value);
-        }
-    });
+    if (value === null) {
+        return;
+    }
+
+    let previous = decl.prev();
 
-    return variables;
+    while (previous && previous.type === "comment") {
+        previous = previous.prev();
+    }
+
+    const isDuplicate = previous && previous.type === "decl" &&
+        previous.prop.toLowerCase() === decl.prop.toLowerCase() &&
+        normalizeValue(previous.value) === normalizeValue(value) &&
+        previous.important === decl.important;
+
+    if (!isDuplicate) {
+        decl.cloneBefore({ value });
+    }
 };
 
 /**
- * Resolves a variable to its final value by following var() references
- * @param {string} varName - The variable name to resolve
- * @param {Map<string, string>} variableMap - Map of all available variables
- * @param {Set<string>} resolving - Set of variables being resolved (for circular reference detection)
- * @param {Result} result - PostCSS Result object for warnings
- * @returns {string|null} The resolved value or null if unresolvable
+ * Adds a comment with the provenance of the inserted fallbacks after each
+ * rewritten declaration
+ *
+ * The comment's source points at the definition of the first fallback, so
+ * source maps map it back to the fallback file.
+ * @param {Array<{decl: postcss.Declaration, chains: Array<Array<Object>>}>} annotations - Rewritten declarations
+ * @returns {Promise<void>}
  */
-const resolveVariable = (varName, variableMap, resolving = new Set(), result = null) => {
-    // If this variable is already being resolved, we have a circular reference
-    if (resolving.has(varName)) {
-        if (result) {
-            result.warn(`Circular reference detected for variable ${varName}`, {
-                word: varName
-            });
+const annotateDeclarations = async (annotations) => {
+    const inputs = new Map();
+
+    const getInput = (file) => {
+        if (!inputs.has(file)) {
+            inputs.set(file, fs.readFile(file, "utf8").then(
+                (css) => new postcss.Input(css, { from: file }),
+                () => null
+            ));
+        }
+
+        return inputs.get(file);
+    };
+
+    for (const { decl, chains } of annotations) {
+        const [own] = chains[0];
+        const input = own.file ? await getInput(own.file) : null;
+        const start = { line: own.line || 1, column: own.column || 1 };
+        const source = input ? { input, start, end: start } : undefined;
+        const text = formatProvenance(chains);
+        const next = decl.next();
+
+        // Processing the output again updates the comment instead of adding another one
+        if (isProvenanceComment(next)) {
+            next.text = text;
+            next.source = source;
+        } else {
+            decl.after(postcss.comment({ text, source, raws: { before: " " } }));
         }
-        return null;
     }
+};
 
-    // If we don't have this variable, return null
-    if (!variableMap.has(varName)) {
-        return null;
+/**
+ * Checks whether a node is inside a @keyframes block
+ * @param {postcss.Node} node - Declaration or at-rule
+ * @returns {boolean} True for keyframe steps and their declarations
+ */
+const isInKeyframes = (node) => {
+    for (let parent = node.parent; parent && parent.type !== "root"; parent = parent.parent) {
+        if (parent.type === "atrule" && /^(?:-\w+-)?keyframes$/i.test(parent.name)) {
+            return true;
+        }
     }
 
-    const value = variableMap.get(varName);
-    const cacheKey = varName + Array.from(variableMap.entries()).join(",");
+    return false;
+};
 
-    // Check cache
-    if (variableCache.has(cacheKey)) {
-        return variableCache.get(cacheKey);
+/**
+ * Normalizes the `atRuleParams` option
+ * @param {boolean|Array<string>} [atRuleParams=false] - Option value
+ * @returns {Set<string>} Names of the at-rules whose params get fallbacks
+ */
+const normalizeAtRuleParams = (atRuleParams = false) => {
+    if (atRuleParams === true) {
+        return new Set(AT_RULE_PARAMS);
     }
 
-    // Add to resolving set
-    resolving.add(varName);
-
-    // Check if the value contains any var() functions
-    const varRegex = /var\(([^,)]+)(?:,([^)]+))?\)/g;
-    let match;
-    let resolvedValue = value;
-
-    // Create a copy of the value to work with
-    let tempValue = value;
-
-    // Check for var() references and resolve them
-    while ((match = varRegex.exec(tempValue)) !== null) {
-        const [fullMatch, referencedVarName, fallback] = match;
-        const nestedResolvedValue = resolveVariable(
-            referencedVarName.trim(),
-            variableMap,
-            new Set(resolving),
-            result
-        );
-
-        if (nestedResolvedValue !== null) {
-            // Replace the var() with the resolved value
-            resolvedValue = resolvedValue.replace(fullMatch, nestedResolvedValue);
-        } else if (fallback) {
-            // Use the fallback if provided and the variable couldn't be resolved
-            resolvedValue = resolvedValue.replace(fullMatch, fallback.trim());
-        }
+    if (atRuleParams === false) {
+        return new Set();
     }
 
-    // Remove from resolving set
-    resolving.delete(varName);
+    if (!Array.isArray(atRuleParams)) {
+        throw new TypeError("The atRuleParams option must be a boolean or an array of at-rule names");
+    }
 
-    // Cache and return the final resolved value
-    variableCache.set(cacheKey, resolvedValue);
-    return resolvedValue;
+    return new Set(atRuleParams.map((name) => name.replace(/^@/, "").toLowerCase()));
 };
 
 /**
  * PostCSS plugin to add fallbacks to CSS variables
  */
 module.exports = (opts = {}) => {
-    const { fallbacks = [] } = opts;
+    const {
+        fallbacks = [],
+        errorOnEmptyGlob = false,
+        existingFallback = "replace",
+        report = false,
+        strict = false,
+        localVariables = false,
+        localPrecedence = "high",
+        privateHost = false,
+        reportFile,
+        coverageFile,
+        sourceComments = false,
+        staticFallback = false,
+        registerProperties = false,
+        customProperties = true,
+        keyframes = true,
+        maxDepth = Infinity,
+        maxFallbackLength = Infinity,
+        nestedFallbacks = false,
+        circularReferences = "warn"
+    } = opts;
+    const resolver = createResolverCore(opts);
+    const isIncluded = createFilter(opts.include, opts.exclude);
+    const isPropertyIncluded = createFilter(opts.includeProperties, opts.excludeProperties);
+    const transformValue = createTransform(opts);
+    const propertyOptions = registerProperties === true ? {} : registerProperties || null;
+    const atRuleParams = normalizeAtRuleParams(opts.atRuleParams);
+
+    if (!EXISTING_FALLBACK_MODES.includes(existingFallback)) {
+        throw new TypeError(`Unknown existingFallback mode ${existingFallback}, expected one of ${EXISTING_FALLBACK_MODES.join(", ")}`);
+    }
 
-    return {
-        postcssPlugin: "postcss-var-fallback",
+    if (!CIRCULAR_SEVERITIES.includes(circularReferences)) {
+        throw new TypeError(`The circularReferences option must be one of ${CIRCULAR_SEVERITIES.join(", ")}`);
+    }
 
-        async Once(root, { result }) {
-            if (!Array.isArray(fallbacks) || fallbacks.length === 0) {
-                result.warn("Fallbacks must be an array of file paths");
+    if (maxDepth !== Infinity && !(Number.isInteger(maxDepth) && maxDepth > 0)) {
+        throw new TypeError("The maxDepth option must be a positive integer");
+    }
+
+    if (maxFallbackLength !== Infinity && !(Number.isInteger(maxFallbackLength) && maxFallbackLength > 0)) {
+        throw new TypeError("The maxFallbackLength option must be a positive integer");
+    }
+
+    // Aggregated report of every processed file
+    const reportWriter = reportFile ? createReportWriter(reportFile) : null;
+
+    // Token usage aggregated across every processed file
+    const coverageCollector = coverageFile ? createCoverageCollector(coverageFile) : null;
+
+    /**
+     * Builds the fallback of a variable within the depth and length limits
+     *
+     * The deepest expansion that fits `maxFallbackLength` is used, so a long
+     * token keeps some of its inner var() references rather than losing its
+     * fallback altogether.
+     * @param {string} name - Variable name
+     * @param {Object} variables - Result of analyzeDefinitions
+     * @param {string} resolvedValue - Fully resolved value
+     * @returns {string|null} Fallback, or null when even the authored definition is too long
+     */
+    const limitFallback = (name, variables, resolvedValue) => {
+        if (maxDepth === Infinity && maxFallbackLength === Infinity && !nestedFallbacks) {
+            return resolvedValue;
+        }
+
+        let fallback = null;
+        let previous = null;
+
+        for (let depth = 1; depth <= maxDepth; depth++) {
+            const expanded = expandVariable(name, variables.variableMap, depth, nestedFallbacks, variables.expanded);
+
+            // Deeper levels don't change anything once every reference is expanded
+            if (expanded === previous) {
+                break;
+            }
+
+            // Flattened values usually get shorter as references are expanded, nested ones longer
+            if (expanded.length <= maxFallbackLength) {
+                fallback = expanded;
+            }
+
+            previous = expanded;
+        }
+
+        return fallback;
+    };
+
+    /**
+     * Describes the @property rules of variables that resolve to a registrable value
+     * @param {Iterable<string>} names - Variable names
+     * @param {Object} variables - Result of analyzeDefinitions
+     * @returns {Array<postcss.AtRule>} @property rules
+     */
+    const createPropertyRules = (names, variables) => Array.from(names)
+        .filter((name) => variables.variableMap.has(name) && !variables.circularRefs.has(name) && isIncluded(name))
+        .map((name) => {
+            const value = resolveVariable(name, variables.variableMap, new Set(), variables.resolved);
+            return value === null || valueParser.hasVar(value) ? null : describeProperty(name, value, propertyOptions);
+        })
+        .filter(Boolean)
+        .map(createPropertyRule);
+
+    /**
+     * Registers the variables used in a processed file with @property rules
+     * at the top of the file
+     * @param {postcss.Root} root - Processed file
+     * @param {Object} variables - Result of analyzeDefinitions
+     */
+    const insertPropertyRules = (root, variables) => {
+        const used = new Set();
+        const registered = new Set();
+
+        root.walkDecls((decl) => {
+            valueParser.collectVarNames(decl.value).forEach((name) => used.add(name));
+        });
+        root.walkAtRules(/^property$/i, (atRule) => {
+            registered.add(atRule.params.trim());
+        });
+
+        const rules = createPropertyRules([...used].filter((name) => !registered.has(name)), variables);
+
+        if (rules.length === 0) {
+            return;
+        }
+
+        // @charset, @import and @namespace must precede other rules, and may come after comments and @layer statements
+        const anchor = root.nodes.find((node) => !(node.type === "comment" || (node.type === "atrule" && (
+            /^(?:charset|import|namespace)$/i.test(node.name) || (node.name.toLowerCase() === "layer" && !node.nodes)
+        ))));
+
+        if (anchor) {
+            anchor.before(rules);
+        } else {
+            root.append(rules);
+        }
+    };
+
+    /**
+     * Writes the @property rules of every fallback variable to a separate file,
+     * once per snapshot
+     * @param {Object} snapshot - Snapshot returned by buildSnapshot
+     * @returns {Promise<void>}
+     */
+    const writePropertiesFile = (snapshot) => {
+        if (!snapshot.propertiesWritten) {
+            const css = postcss.root({ nodes: createPropertyRules(snapshot.variables.selected.keys(), snapshot.variables) }).toString();
+            const file = path.resolve(propertyOptions.file);
+
+            snapshot.propertiesWritten = fs.mkdir(path.dirname(file), { recursive: true })
+                .then(() => fs.writeFile(file, css ? `${css}\n` : ""));
+        }
+
+        return snapshot.propertiesWritten;
+    };
+
+    /**
+     * Adds fallbacks to the var() calls of a processed file
+     * @param {postcss.Root} root - Processed file
+     * @param {Result} result - PostCSS Result object
+     * @returns {Promise<void>}
+     */
+    const processRoot = async (root, result) => {
+        if (!Array.isArray(fallbacks) || (fallbacks.length === 0 && !localVariables && !privateHost)) {
+            result.warn("Fallbacks must be an array of file paths or token objects");
+
+            if (!localVariables && !privateHost) {
                 return;
             }
-            
-            // Clear caches for each run
-            fileCache.clear();
-            variableCache.clear();
-
-            // Build variable map from fallback files
-            const variableMap = new Map();
-
-            // Process fallback files in order (last file has highest precedence)
-            for (let i = 0; i < fallbacks.length; i++) {
-                const fallbackPath = fallbacks[i];
-                try {
-                    const absolutePath = path.resolve(
-                        root.source.input.file ? path.dirname(root.source.input.file) : ".",
-                        fallbackPath
-                    );
+        }
+
+        const snapshot = await resolver.getSnapshot(
+            root.source.input.file ? path.dirname(root.source.input.file) : path.resolve(".")
+        );
+        let variables = snapshot.variables;
+
+        // Merge the variables defined in the processed file (or only its :host blocks) with the fallback sources
+        if (localVariables || privateHost) {
+            const localDefinitions = extractVariables(root).filter((definition) => (
+                isIncluded(definition.name) && (localVariables || isHostDefinition(definition))
+            ));
+            const localLayers = extractLayers(root).map(({ name }) => name);
+
+            if (localDefinitions.length > 0) {
+                variables = localVariables && localPrecedence === "low"
+                    ? resolver.analyzeDefinitions([...localDefinitions, ...snapshot.definitions], [...localLayers, ...snapshot.layers])
+                    : resolver.analyzeDefinitions([...snapshot.definitions, ...localDefinitions], [...snapshot.layers, ...localLayers]);
+            }
+        }
 
-                    const fallbackRoot = await loadCssFile(absolutePath);
+        snapshot.dependencies.forEach((file) => registerDependency(result, file));
+        snapshot.dirDependencies.forEach(({ dir, glob }) => registerDirDependency(result, dir, glob));
 
-                    if (fallbackRoot) {
-                        const fileVariables = extractVariables(fallbackRoot);
-                        // Later files override earlier ones
-                        fileVariables.forEach((value, key) => {
-                            variableMap.set(key, value);
-                        });
-                    } else {
-                        result.warn(`Could not load CSS file ${fallbackPath}`, {
-                            word: fallbackPath,
-                            node: root
-                        });
-                    }
-                } catch (error) {
-                    result.warn(`Error processing fallback file ${fallbackPath}: ${error.message}`, {
-                        word: fallbackPath,
-                        node: root
-                    });
-                }
+        for (const pattern of snapshot.emptyPatterns) {
+            const message = formatEmptyPattern(pattern);
+
+            if (errorOnEmptyGlob) {
+                throw root.error(message, { word: pattern });
             }
 
-            // Find circular references
-            const circularRefs = new Set();
-            const detectCircular = (varName, path = new Set()) => {
-                if (path.has(varName)) {
-                    circularRefs.add(varName);
-                    result.warn(`Circular reference detected for variable ${varName}`, {
-                        word: varName
-                    });
-                    return true;
+            result.warn(message, { word: pattern, node: root });
+        }
+
+        [...snapshot.warnings, ...variables.warnings].forEach(({ text, word }) => {
+            result.warn(text, { word, node: root });
+        });
+
+        // Cycles already reported for this file, context variable maps repeat those of the global one
+        const reportedCycles = new Set();
+
+        /**
+         * Reports the cycles of a variable map once per file, as warnings or
+         * as an error depending on the circularReferences option
+         * @param {{cycles: Array<Object>, truncated: Array<Object>}} analysis - Result of analyzeSelection
+         */
+        const reportCycles = ({ cycles, truncated }) => {
+            if (circularReferences === "ignore") {
+                return;
+            }
+
+            const diagnostics = cycles
+                .map((cycle) => ({ text: formatCycle(cycle), word: cycle.path[0] }))
+                .concat(truncated.map((component) => ({ text: formatTruncation(component), word: component.members[0] })))
+                .filter(({ text }) => !reportedCycles.has(text));
+
+            diagnostics.forEach(({ text }) => reportedCycles.add(text));
+
+            if (circularReferences === "error" && diagnostics.length > 0) {
+                const [first] = diagnostics;
+                const more = diagnostics.length - 1;
+
+                throw root.error(
+                    `${first.text}${more > 0 ? ` (and ${more} more circular reference${more > 1 ? "s" : ""})` : ""}`,
+                    { word: first.word }
+                );
+            }
+
+            diagnostics.forEach(({ text, word }) => result.warn(text, { word, node: root }));
+        };
+
+        reportCycles(variables);
+
+        // Variables defined in the processed file are not reported as undefined
+        const localNames = new Set();
+        const undefinedUsages = [];
+
+        if (report || strict) {
+            root.walkDecls((decl) => {
+                if (decl.prop.startsWith("--")) {
+                    localNames.add(decl.prop);
                 }
+            });
+        }
 
-                if (!variableMap.has(varName)) {
-                    return false;
+        /**
+         * Warns about every var() in a declaration or at-rule referencing an unknown variable
+         * @param {postcss.Declaration|postcss.AtRule} node - Declaration or at-rule
+         * @param {Array<Object>} nodes - Parsed declaration value or at-rule params
+         */
+        const reportUndefined = (node, nodes) => {
+            valueParser.walk(nodes, (varNode) => {
+                if (!valueParser.isVarFunction(varNode)) {
+                    return;
                 }
 
-                const value = variableMap.get(varName);
-                const varRegex = /var\(([^,)]+)(?:,([^)]+))?\)/g;
-                let match;
-                let newPath = new Set(path);
-                newPath.add(varName);
-
-                while ((match = varRegex.exec(value)) !== null) {
-                    const [, refVarName] = match;
-                    const trimmedRefVarName = refVarName.trim();
-                    if (detectCircular(trimmedRefVarName, newPath)) {
-                        circularRefs.add(varName);
-                        return true;
-                    }
+                const { name } = valueParser.parseVar(varNode);
+
+                if (!isIncluded(name) || variables.definedNames.has(name) || localNames.has(name)) {
+                    return;
                 }
 
-                return false;
-            };
+                const suggestion = suggestName(name, [...variables.definedNames, ...localNames]);
+                const text = `Undefined variable ${name}${suggestion ? `, did you mean ${suggestion}?` : ""}`;
+                const word = valueParser.stringify(varNode);
 
-            // Detect all circular references first
-            for (const [varName] of variableMap.entries()) {
-                detectCircular(varName);
-            }
+                // Warned before the declaration is rewritten so the position points at the usage
+                result.warn(text, { node, word });
+                undefinedUsages.push({ node, text, word });
+            });
+        };
+
+        // What happened to every var() usage, for the report
+        const fileReport = { fallbacks: [], unresolved: [], circular: [] };
+
+        // Rewritten declarations and the provenance of their fallbacks, for source comments
+        const annotations = [];
+
+        /**
+         * Adds fallbacks to the var() calls of a declaration value or at-rule params
+         * @param {postcss.Declaration|postcss.AtRule} node - Rewritten node
+         * @param {Array<Object>} nodes - Parsed value
+         * @param {string} property - Property name, or the at-rule name prefixed with @
+         * @returns {{value: string, modified: boolean, chains: Array<Array<Object>>}} New value and the provenance of its fallbacks
+         */
+        const rewriteVars = (node, nodes, property) => {
+            let modified = false;
+            const chains = [];
+            const scoped = resolver.getContextVariables(variables, node);
+            const { variableMap, circularRefs } = scoped;
+            const ambiguous = new Set();
+
+            reportCycles(scoped);
+
+            const newValue = valueParser.replaceVars(nodes, ({ name, fallback }, varNode) => {
+                const hasFallback = fallback !== null;
+
+                // Never touch authored fallbacks, not even the var() calls inside them
+                if (hasFallback && existingFallback === "keep") {
+                    return valueParser.stringify(varNode);
+                }
+
+                // Skip filtered out variables
+                if (!isIncluded(name)) {
+                    return null;
+                }
+
+                const usage = node.positionBy({ word: valueParser.stringify(varNode) });
+
+                // Skip circular references
+                if (circularRefs.has(name)) {
+                    fileReport.circular.push({ variable: name, line: usage.line, column: usage.column, cycle: circularRefs.get(name).path });
+                    return null;
+                }
 
-            // Process CSS variables
-            root.walkDecls(decl => {
-                const varRegex = /var\(([^,)]+)(?:,([^)]+))?\)/g;
-                let value = decl.value;
-                let match;
-                let modified = false;
-                let lastIndex = 0;
-                let newValue = "";
-
-                while ((match = varRegex.exec(value)) !== null) {
-                    const [fullMatch, varName] = match;
-                    const trimmedVarName = varName.trim();
-
-                    // Add the text between the last match and this match
-                    newValue += value.slice(lastIndex, match.index);
-
-                    // Skip circular references
-                    if (circularRefs.has(trimmedVarName)) {
-                        newValue += fullMatch;
-                    } else {
-                        const resolvedValue = resolveVariable(trimmedVarName, variableMap, new Set(), result);
-
-                        if (resolvedValue) {
-                            // Add the var() with fallback, with comma to match CSS spec
-                            newValue += `var(${trimmedVarName}, ${resolvedValue})`;
-                            modified = true;
-                        } else {
-                            // Keep the original var() unchanged for unknown variables
-                            newValue += fullMatch;
-                        }
+                const resolvedValue = resolveVariable(name, variableMap, new Set(), scoped.resolved);
+
+                if (!resolvedValue) {
+                    // Keep the original var() unchanged for unknown variables
+                    fileReport.unresolved.push({ variable: name, line: usage.line, column: usage.column });
+                    return null;
+                }
+
+                if (hasFallback && existingFallback === "fill-nested") {
+                    // Keep the authored fallback but add fallbacks to the var() calls inside it
+                    return null;
+                }
+
+                if (hasFallback && existingFallback === "warn-on-mismatch") {
+                    const authored = valueParser.stringify(fallback).trim();
+                    const resolvedAuthored = resolveValue(fallback, variableMap, new Set(), scoped.resolved);
+
+                    if (normalizeValue(resolvedAuthored) !== normalizeValue(resolvedValue)) {
+                        result.warn(`Fallback ${authored} of ${name} differs from its definition ${resolvedValue}`, {
+                            node,
+                            word: valueParser.stringify(varNode)
+                        });
                     }
 
-                    lastIndex = match.index + fullMatch.length;
+                    return valueParser.stringify(varNode);
                 }
 
-                // Add any remaining text after the last match
-                if (lastIndex < value.length) {
-                    newValue += value.slice(lastIndex);
+                const definition = scoped.selected.get(name);
+                const chain = traceVariable(name, scoped.selected);
+
+                chain.filter((hop) => scoped.ambiguities.has(hop.variable) && !ambiguous.has(hop.variable)).forEach((hop) => {
+                    const scopes = scoped.ambiguities.get(hop.variable).map((candidate) => candidate.scope).join(", ");
+
+                    ambiguous.add(hop.variable);
+                    result.warn(
+                        `Variable ${hop.variable} has several definitions matching this context (${scopes}), using ${scoped.selected.get(hop.variable).scope}`,
+                        { node, word: valueParser.stringify(varNode) }
+                    );
+                });
+
+                const expanded = limitFallback(name, scoped, resolvedValue);
+
+                if (expanded === null) {
+                    result.warn(`Fallback of ${name} is longer than ${maxFallbackLength} characters, skipped`, {
+                        node,
+                        word: valueParser.stringify(varNode)
+                    });
+                    return null;
                 }
 
-                if (modified) {
-                    decl.value = newValue;
+                const value = transformValue
+                    ? transformValue(name, expanded, {
+                        property,
+                        [node.type === "decl" ? "decl" : "atRule"]: node,
+                        definition: definition ? { ...definition.source } : null,
+                        chain,
+                        result
+                    })
+                    : expanded;
+
+                // The transform opted out of a fallback for this usage
+                if (value === null) {
+                    return null;
                 }
+
+                modified = true;
+
+                const message = {
+                    type: "var-fallback",
+                    plugin: "postcss-var-fallback",
+                    node,
+                    property,
+                    variable: name,
+                    value,
+                    definition: definition ? { ...definition.source } : null,
+                    chain,
+                    line: usage.line,
+                    column: usage.column
+                };
+
+                chains.push(chain);
+                result.messages.push(message);
+                fileReport.fallbacks.push({
+                    variable: name,
+                    value,
+                    property,
+                    line: usage.line,
+                    column: usage.column,
+                    definition: message.definition && { ...message.definition, file: relativePath(message.definition.file) },
+                    chain: chain.map((hop) => ({ ...hop, file: relativePath(hop.file) }))
+                });
+
+                // Add the var() with fallback, with comma to match CSS spec
+                return `var(${name}, ${value})`;
             });
+
+            return { value: newValue, modified, chains };
+        };
+
+        // Direct usages of every variable, for the coverage
+        const usages = new Map();
+        const countUsages = (value) => valueParser.collectVarNames(value).forEach((name) => {
+            usages.set(name, (usages.get(name) || 0) + 1);
+        });
+
+        // Process CSS variables
+        root.walkDecls(decl => {
+            if (!valueParser.hasVar(decl.value)) {
+                return;
+            }
+
+            countUsages(decl.value);
+
+            if ((!customProperties && decl.prop.startsWith("--")) || (!keyframes && isInKeyframes(decl))) {
+                return;
+            }
+
+            const nodes = valueParser.parse(decl.value);
+
+            if (report || strict) {
+                reportUndefined(decl, nodes);
+            }
+
+            if (!isPropertyIncluded(decl.prop)) {
+                return;
+            }
+
+            const { value, modified, chains } = rewriteVars(decl, nodes, decl.prop);
+
+            if (modified) {
+                decl.value = value;
+
+                if (sourceComments && chains.length > 0) {
+                    annotations.push({ decl, chains });
+                }
+            }
+
+            if (staticFallback && !decl.prop.startsWith("--")) {
+                insertStaticFallback(decl);
+            }
+        });
+
+        // Usages in at-rule params, e.g. `@media (min-width: var(--breakpoint))` for custom media polyfills
+        root.walkAtRules((atRule) => {
+            if (!atRuleParams.has(atRule.name.toLowerCase()) || !valueParser.hasVar(atRule.params)) {
+                return;
+            }
+
+            if (!keyframes && isInKeyframes(atRule)) {
+                return;
+            }
+
+            countUsages(atRule.params);
+
+            const nodes = valueParser.parse(atRule.params);
+
+            if (report || strict) {
+                reportUndefined(atRule, nodes);
+            }
+
+            const { value, modified } = rewriteVars(atRule, nodes, `@${atRule.name.toLowerCase()}`);
+
+            if (modified) {
+                atRule.params = value;
+            }
+        });
+
+        if (annotations.length > 0) {
+            await annotateDeclarations(annotations);
+        }
+
+        if (propertyOptions && propertyOptions.file) {
+            try {
+                await writePropertiesFile(snapshot);
+            } catch (error) {
+                result.warn(`Could not write @property rules to ${propertyOptions.file}: ${error.message}`, { node: root });
+            }
+        } else if (propertyOptions) {
+            insertPropertyRules(root, variables);
+        }
+
+        result.messages.push({
+            type: "var-fallback-report",
+            plugin: "postcss-var-fallback",
+            file: root.source.input.file,
+            ...fileReport
+        });
+
+        if (reportWriter) {
+            reportWriter.update(root.source.input.file, fileReport);
+        }
+
+        if (coverageCollector) {
+            coverageCollector.update(root.source.input.file, usages, snapshot.variables.selected);
+        }
+
+        if (strict && undefinedUsages.length > 0) {
+            const [first] = undefinedUsages;
+            const more = undefinedUsages.length - 1;
+
+            throw first.node.error(
+                `${first.text}${more > 0 ? ` (and ${more} more undefined variable usage${more > 1 ? "s" : ""})` : ""}`,
+                { word: first.word }
+            );
+        }
+    };
+
+    // Files being processed, the coverage summary is added to the last one
+    let pending = 0;
+
+    const plugin = {
+        postcssPlugin: "postcss-var-fallback",
+
+        async Once(root, { result }) {
+            const reportError = reportWriter && reportWriter.takeError();
+            const coverageError = coverageCollector && coverageCollector.takeError();
+
+            // The report is written after PostCSS is done with a file, so a failure shows up on the next one
+            if (reportError) {
+                result.warn(`Could not write report ${reportFile}: ${reportError.message}`, { node: root });
+            }
+
+            if (coverageError) {
+                result.warn(`Could not write coverage ${coverageFile}: ${coverageError.message}`, { node: root });
+            }
+
+            pending++;
+
+            try {
+                await processRoot(root, result);
+            } finally {
+                pending--;
+            }
+
+            // Files processed together share one summary, on the last of them
+            if (coverageCollector && pending === 0) {
+                result.warn(formatCoverageSummary(coverageCollector.summarize(), coverageFile), { node: root });
+            }
         }
     };
+
+    /**
+     * Writes the coverage file right away and summarizes it, for programmatic
+     * callers that know when a build is over
+     *
+     * Not enumerable, so PostCSS doesn't take it for a visitor.
+     * @returns {Object|null} Coverage of the files processed so far with its `summary` text, or null without `coverageFile`
+     */
+    Object.defineProperty(plugin, "flushCoverage", {
+        value: () => {
+            if (!coverageCollector) {
+                return null;
+            }
+
+            coverageCollector.write();
+
+            const coverage = coverageCollector.summarize();
+            return { ...coverage, summary: formatCoverageSummary(coverage, coverageFile) };
+        }
+    });
+
+    return plugin;
 };
 
 module.exports.postcss = true;
+module.exports.createResolver = createResolver;
@@ -13,6 +13,7 @@ describe("postcss-var-fallback", () => {
         }
 
         Object.entries(files).forEach(([filename, content]) => {
+            fs.mkdirSync(path.dirname(path.join(tempDir, filename)), { recursive: true });
             fs.writeFileSync(path.join(tempDir, filename), content);
         });
     };
@@ -26,144 +27,1919 @@ describe("postcss-var-fallback", () => {
         return result.css;
     };
 
+    // Helper to process CSS and keep the whole result (warnings, messages)
+    const processResult = async (cssFile, options) => {
+        const css = fs.readFileSync(path.join(tempDir, cssFile), "utf8");
+        return postcss([varFallback(options)]).process(css, {
+            from: path.join(tempDir, cssFile)
+        });
+    };
+
     // Helper to process CSS string directly (for unit tests)
     const processString = async (cssString, options) => {
         const result = await postcss([varFallback(options)]).process(cssString, {
             from: undefined
         });
-        return result.css;
-    };
+        return result.css;
+    };
+
+    // Clean up after each test
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe("Basic Functionality", () => {
+        test("should add fallbacks to simple variables", async () => {
+            createTestFiles({
+                "base-vars.css": ":root { --font-family: \"Arial\"; }",
+                "button.css": ".button { font-family: var(--font-family); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["base-vars.css"]
+            });
+
+            expect(result).toBe(".button { font-family: var(--font-family, \"Arial\"); }");
+        });
+
+        test("should handle nested variable references", async () => {
+            createTestFiles({
+                "base-vars.css": ":root { --size: 16px; --base-padding: var(--size); }",
+                "theme.css": ":root { --padding: var(--base-padding); }",
+                "button.css": ".button { padding: var(--padding); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["base-vars.css", "theme.css"]
+            });
+
+            expect(result).toBe(".button { padding: var(--padding, 16px); }");
+        });
+
+        test("should leave unknown variables unchanged", async () => {
+            createTestFiles({
+                "base-vars.css": ":root { --known: blue; }",
+                "button.css": ".button { color: var(--unknown); background: var(--known); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["base-vars.css"]
+            });
+
+            expect(result).toBe(
+                ".button { color: var(--unknown); background: var(--known, blue); }"
+            );
+        });
+    });
+
+    describe("Edge Cases", () => {
+        test("should handle variables with existing fallbacks", async () => {
+            createTestFiles({
+                "base-vars.css": ":root { --color: blue; }",
+                "button.css": ".button { color: var(--color, red); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["base-vars.css"]
+            });
+
+            expect(result).toBe(".button { color: var(--color, blue); }");
+        });
+
+        test("should handle complex values", async () => {
+            createTestFiles({
+                "base-vars.css": ":root { --transform: rotate(45deg) scale(1.5); }",
+                "button.css": ".button { transform: var(--transform); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["base-vars.css"]
+            });
+
+            expect(result).toBe(
+                ".button { transform: var(--transform, rotate(45deg) scale(1.5)); }"
+            );
+        });
+
+        test("should handle variables in non-root blocks", async () => {
+            createTestFiles({
+                "theme.css": `
+          .theme-dark {
+            --bg-color: #222;
+          }
+          .theme-light {
+            --bg-color: #fff;
+          }
+        `,
+                "button.css": ".button { background: var(--bg-color); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["theme.css"]
+            });
+
+            expect(result).toBe(".button { background: var(--bg-color, #fff); }");
+        });
+    });
+
+    describe("Existing Fallbacks", () => {
+        const files = {
+            "vars.css": ":root { --gap: 4px; --pad: 8px; --space: 4px; }",
+            "box.css": ".box { margin: var(--gap, 8px); padding: var(--pad, var(--gap)); gap: var(--gap, var(--space)); }"
+        };
+
+        test("should replace authored fallbacks by default", async () => {
+            createTestFiles(files);
+
+            const result = await process("box.css", {
+                fallbacks: ["vars.css"]
+            });
+
+            expect(result).toBe(".box { margin: var(--gap, 4px); padding: var(--pad, 8px); gap: var(--gap, 4px); }");
+        });
+
+        test("should never touch authored fallbacks in keep mode", async () => {
+            createTestFiles(files);
+
+            const result = await process("box.css", {
+                fallbacks: ["vars.css"],
+                existingFallback: "keep"
+            });
+
+            expect(result).toBe(files["box.css"]);
+        });
+
+        test("should add fallbacks inside authored fallbacks in fill-nested mode", async () => {
+            createTestFiles(files);
+
+            const result = await process("box.css", {
+                fallbacks: ["vars.css"],
+                existingFallback: "fill-nested"
+            });
+
+            expect(result).toBe(".box { margin: var(--gap, 8px); padding: var(--pad, var(--gap, 4px)); gap: var(--gap, var(--space, 4px)); }");
+        });
+
+        test("should warn when authored fallbacks differ from the definition in warn-on-mismatch mode", async () => {
+            createTestFiles(files);
+
+            const result = await processResult("box.css", {
+                fallbacks: ["vars.css"],
+                existingFallback: "warn-on-mismatch"
+            });
+
+            expect(result.css).toBe(files["box.css"]);
+            expect(result.warnings().map((warning) => warning.text)).toEqual([
+                "Fallback 8px of --gap differs from its definition 4px",
+                "Fallback var(--gap) of --pad differs from its definition 8px"
+            ]);
+            expect(result.warnings()[0].line).toBe(1);
+            expect(result.warnings()[0].column).toBe(16);
+        });
+
+        test("should still add fallbacks to var() calls without one", async () => {
+            createTestFiles({
+                "vars.css": ":root { --gap: 4px; }",
+                "box.css": ".box { margin: var(--gap, 8px) var(--gap); }"
+            });
+
+            const result = await process("box.css", {
+                fallbacks: ["vars.css"],
+                existingFallback: "keep"
+            });
+
+            expect(result).toBe(".box { margin: var(--gap, 8px) var(--gap, 4px); }");
+        });
+
+        test("should reject unknown modes", () => {
+            expect(() => varFallback({ fallbacks: ["vars.css"], existingFallback: "merge" })).toThrow(
+                new TypeError("Unknown existingFallback mode merge, expected one of keep, replace, fill-nested, warn-on-mismatch")
+            );
+        });
+    });
+
+    describe("Filters", () => {
+        test("should skip variables matching exclude names, prefixes, regexes and predicates", async () => {
+            createTestFiles({
+                "vars.css": ":root { --color: red; --js-scroll-y: 0; --tw-ring: blue; --card-pad: 4px; --gap: 8px; }",
+                "box.css": ".box { color: var(--color); top: var(--js-scroll-y); outline-color: var(--tw-ring); padding: var(--card-pad); gap: var(--gap); }"
+            });
+
+            const result = await process("box.css", {
+                fallbacks: ["vars.css"],
+                exclude: ["--js-scroll-y", "--tw-*", /^--card-/, (name) => name === "--gap"]
+            });
+
+            expect(result).toBe(".box { color: var(--color, red); top: var(--js-scroll-y); outline-color: var(--tw-ring); padding: var(--card-pad); gap: var(--gap); }");
+        });
+
+        test("should only add fallbacks to included variables", async () => {
+            createTestFiles({
+                "vars.css": ":root { --ds-color: red; --local: blue; }",
+                "box.css": ".box { color: var(--ds-color); background: var(--local); }"
+            });
+
+            const result = await process("box.css", {
+                fallbacks: ["vars.css"],
+                include: "--ds-*"
+            });
+
+            expect(result).toBe(".box { color: var(--ds-color, red); background: var(--local); }");
+        });
+
+        test("should not collect excluded definitions", async () => {
+            createTestFiles({
+                "vars.css": ":root { --runtime: 10px; --offset: calc(var(--runtime) + 2px); }",
+                "box.css": ".box { top: var(--offset); }"
+            });
+
+            const result = await process("box.css", {
+                fallbacks: ["vars.css"],
+                exclude: "--runtime"
+            });
+
+            expect(result).toBe(".box { top: var(--offset, calc(var(--runtime) + 2px)); }");
+        });
+
+        test("should filter by property", async () => {
+            createTestFiles({
+                "vars.css": ":root { --label: \"x\"; --color: red; }",
+                "box.css": ".box { content: var(--label); color: var(--color); --alias: var(--color); }"
+            });
+
+            const result = await process("box.css", {
+                fallbacks: ["vars.css"],
+                excludeProperties: ["content", "--*"]
+            });
+
+            expect(result).toBe(".box { content: var(--label); color: var(--color, red); --alias: var(--color); }");
+        });
+
+        test("should only process included properties", async () => {
+            createTestFiles({
+                "vars.css": ":root { --color: red; }",
+                "box.css": ".box { color: var(--color); background: var(--color); }"
+            });
+
+            const result = await process("box.css", {
+                fallbacks: ["vars.css"],
+                includeProperties: /^colou?r$/
+            });
+
+            expect(result).toBe(".box { color: var(--color, red); background: var(--color); }");
+        });
+    });
+
+    describe("Undefined Variables", () => {
+        test("should not report undefined variables by default", async () => {
+            createTestFiles({
+                "vars.css": ":root { --primary-color: red; }",
+                "box.css": ".box { color: var(--primray-color); }"
+            });
+
+            const result = await processResult("box.css", {
+                fallbacks: ["vars.css"]
+            });
+
+            expect(result.warnings()).toHaveLength(0);
+        });
+
+        test("should report undefined variables with suggestions and positions", async () => {
+            createTestFiles({
+                "vars.css": ":root { --primary-color: red; --gap: 4px; }",
+                "box.css": ".box {\n  color: var(--primray-color);\n  margin: var(--unknown, var(--gapp));\n  --local: 1px;\n  padding: var(--local);\n}"
+            });
+
+            const result = await processResult("box.css", {
+                fallbacks: ["vars.css"],
+                report: true
+            });
+
+            expect(result.warnings().map((warning) => [warning.text, warning.line, warning.column])).toEqual([
+                ["Undefined variable --primray-color, did you mean --primary-color?", 2, 10],
+                ["Undefined variable --unknown", 3, 11],
+                ["Undefined variable --gapp, did you mean --gap?", 3, 26]
+            ]);
+        });
+
+        test("should not report excluded variables", async () => {
+            createTestFiles({
+                "vars.css": ":root { --gap: 4px; }",
+                "box.css": ".box { top: var(--js-scroll-y); }"
+            });
+
+            const result = await processResult("box.css", {
+                fallbacks: ["vars.css"],
+                exclude: "--js-*",
+                report: true
+            });
+
+            expect(result.warnings()).toHaveLength(0);
+        });
+
+        test("should throw in strict mode", async () => {
+            createTestFiles({
+                "vars.css": ":root { --primary-color: red; }",
+                "box.css": ".box { color: var(--primray-color); background: var(--bg); border-color: var(--primary-color); }"
+            });
+
+            await expect(process("box.css", {
+                fallbacks: ["vars.css"],
+                strict: true
+            })).rejects.toThrow(
+                "Undefined variable --primray-color, did you mean --primary-color? (and 1 more undefined variable usage)"
+            );
+        });
+    });
+
+    describe("Local Variables", () => {
+        test("should ignore variables defined in the processed file by default", async () => {
+            createTestFiles({
+                "vars.css": ":root { --color: red; }",
+                "card.css": ":root { --card-pad: 4px; } .card { padding: var(--card-pad); color: var(--color); }"
+            });
+
+            const result = await process("card.css", {
+                fallbacks: ["vars.css"]
+            });
+
+            expect(result).toBe(":root { --card-pad: 4px; } .card { padding: var(--card-pad); color: var(--color, red); }");
+        });
+
+        test("should use variables defined in the processed file without fallbacks", async () => {
+            const result = await postcss([varFallback({ localVariables: true })]).process(
+                ":root { --size: 4px; --card-pad: calc(var(--size) * 2); } .card { padding: var(--card-pad); }",
+                { from: undefined }
+            );
+
+            expect(result.css).toBe(
+                ":root { --size: 4px; --card-pad: calc(var(--size, 4px) * 2); } .card { padding: var(--card-pad, calc(4px * 2)); }"
+            );
+            expect(result.warnings()).toHaveLength(0);
+        });
+
+        test("should give local variables precedence over fallback files by default", async () => {
+            createTestFiles({
+                "vars.css": ":root { --color: red; --gap: 8px; }",
+                "card.css": ":root { --color: blue; } .card { color: var(--color); gap: var(--gap); }"
+            });
+
+            const result = await process("card.css", {
+                fallbacks: ["vars.css"],
+                localVariables: true
+            });
+
+            expect(result).toBe(":root { --color: blue; } .card { color: var(--color, blue); gap: var(--gap, 8px); }");
+        });
+
+        test("should let fallback files override local variables with low precedence", async () => {
+            createTestFiles({
+                "vars.css": ":root { --color: red; }",
+                "card.css": ":root { --color: blue; --gap: 8px; } .card { color: var(--color); gap: var(--gap); }"
+            });
+
+            const result = await process("card.css", {
+                fallbacks: ["vars.css"],
+                localVariables: true,
+                localPrecedence: "low"
+            });
+
+            expect(result).toBe(":root { --color: blue; --gap: 8px; } .card { color: var(--color, red); gap: var(--gap, 8px); }");
+        });
+
+        test("should not leak local variables into other processed files", async () => {
+            createTestFiles({
+                "vars.css": ":root { --color: red; }",
+                "a.css": ":root { --color: blue; } .a { color: var(--color); }",
+                "b.css": ".b { color: var(--color); }"
+            });
+
+            const plugin = varFallback({ fallbacks: ["vars.css"], localVariables: true });
+            const processFile = (file) => postcss([plugin]).process(fs.readFileSync(path.join(tempDir, file), "utf8"), {
+                from: path.join(tempDir, file)
+            });
+
+            expect((await processFile("a.css")).css).toBe(":root { --color: blue; } .a { color: var(--color, blue); }");
+            expect((await processFile("b.css")).css).toBe(".b { color: var(--color, red); }");
+        });
+    });
+
+    describe("Definition Scopes", () => {
+        test("should prefer :root definitions over theme selectors and media queries", async () => {
+            createTestFiles({
+                "theme.css": `
+          :root { --bg: #fff; }
+          .theme-dark { --bg: #222; }
+          @media (prefers-color-scheme: dark) { :root { --bg: #000; } }
+          [data-brand=x] { --bg: pink; }
+        `,
+                "button.css": ".button { background: var(--bg); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["theme.css"]
+            });
+
+            expect(result.css).toBe(".button { background: var(--bg, #fff); }");
+            expect(result.warnings()).toHaveLength(0);
+        });
+
+        test("should treat definitions inside @layer as default scope", async () => {
+            createTestFiles({
+                "theme.css": "@layer tokens { :root { --gap: 4px; } } .compact { --gap: 2px; }",
+                "button.css": ".button { gap: var(--gap); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["theme.css"]
+            });
+
+            expect(result).toBe(".button { gap: var(--gap, 4px); }");
+        });
+
+        test("should support a custom default scope", async () => {
+            createTestFiles({
+                "theme.css": ":root { --bg: #fff; } .theme-light, body { --bg: #eee; }",
+                "button.css": ".button { background: var(--bg); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["theme.css"],
+                defaultScope: ["body", ".theme-light"]
+            });
+
+            expect(result).toBe(".button { background: var(--bg, #eee); }");
+        });
+
+        test("should ignore definitions outside the default scope in strict mode", async () => {
+            createTestFiles({
+                "theme.css": ":root { --bg: #fff; } .theme-dark { --fg: #eee; }",
+                "button.css": ".button { background: var(--bg); color: var(--fg); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["theme.css"],
+                strictScope: true
+            });
+
+            expect(result).toBe(".button { background: var(--bg, #fff); color: var(--fg); }");
+        });
+
+        test("should use the last definition when scoping is disabled", async () => {
+            createTestFiles({
+                "theme.css": ":root { --bg: #fff; } .theme-dark { --bg: #222; }",
+                "button.css": ".button { background: var(--bg); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["theme.css"],
+                defaultScope: false
+            });
+
+            expect(result.css).toBe(".button { background: var(--bg, #222); }");
+        });
+
+        test("should warn when a variable has conflicting definitions in several scopes", async () => {
+            createTestFiles({
+                "theme.css": ".theme-dark { --bg: #222; } .theme-light { --bg: #fff; } .a { --fg: red; } .b { --fg: red; }",
+                "button.css": ".button { background: var(--bg); color: var(--fg); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["theme.css"]
+            });
+
+            expect(result.css).toBe(".button { background: var(--bg, #fff); color: var(--fg, red); }");
+            expect(result.warnings()).toHaveLength(1);
+            expect(result.warnings()[0].text).toBe(
+                "Variable --bg has conflicting definitions in several scopes (.theme-dark, .theme-light), using .theme-light"
+            );
+        });
+
+        test("should not warn when a later file overrides the same scope", async () => {
+            createTestFiles({
+                "base.css": ":root { --color: blue; }",
+                "theme.css": ":root { --color: red; }",
+                "button.css": ".button { color: var(--color); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["base.css", "theme.css"]
+            });
+
+            expect(result.warnings()).toHaveLength(0);
+        });
+    });
+
+    describe("Context Matching", () => {
+        const themes = `:root { --bg: white; --fg: black; --surface: var(--bg); }
+.theme-dark { --bg: #111; }
+[data-theme="contrast"] .card { --fg: yellow; }
+@media (prefers-color-scheme: dark) { :root { --bg: #222; } }`;
+
+        test("should use the definitions of the declaration's ancestor selectors and at-rules", async () => {
+            createTestFiles({
+                "themes.css": themes,
+                "card.css": `.card { background: var(--surface); color: var(--fg); }
+.theme-dark .card { background: var(--surface); }
+.theme-dark.card > .title { background: var(--bg); }
+[data-theme="contrast"] .sidebar .card { color: var(--fg); }
+@media (prefers-color-scheme: dark) { .card { background: var(--bg); } }`
+            });
+
+            const result = await processResult("card.css", {
+                fallbacks: ["themes.css"],
+                contextMatching: true
+            });
+
+            expect(result.css).toBe(`.card { background: var(--surface, white); color: var(--fg, black); }
+.theme-dark .card { background: var(--surface, #111); }
+.theme-dark.card > .title { background: var(--bg, #111); }
+[data-theme="contrast"] .sidebar .card { color: var(--fg, yellow); }
+@media (prefers-color-scheme: dark) { .card { background: var(--bg, #222); } }`);
+            expect(result.warnings()).toHaveLength(0);
+        });
+
+        test("should require every selector of a rule to match", async () => {
+            createTestFiles({
+                "themes.css": themes,
+                "card.css": ".theme-dark .card, .card { background: var(--bg); }"
+            });
+
+            const result = await process("card.css", {
+                fallbacks: ["themes.css"],
+                contextMatching: "ancestor"
+            });
+
+            expect(result).toBe(".theme-dark .card, .card { background: var(--bg, white); }");
+        });
+
+        test("should only match identical contexts with the exact strategy", async () => {
+            createTestFiles({
+                "themes.css": themes,
+                "card.css": ".theme-dark .card { background: var(--bg); }\n.theme-dark { background: var(--bg); }"
+            });
+
+            const result = await process("card.css", {
+                fallbacks: ["themes.css"],
+                contextMatching: "exact"
+            });
+
+            expect(result).toBe(".theme-dark .card { background: var(--bg, white); }\n.theme-dark { background: var(--bg, #111); }");
+        });
+
+        test("should accept a custom matching strategy", async () => {
+            createTestFiles({
+                "themes.css": themes,
+                "card.css": ".dark-mode .card { background: var(--bg); }"
+            });
+
+            const result = await process("card.css", {
+                fallbacks: ["themes.css"],
+                contextMatching: (definition, context) => (
+                    definition.selectors.includes(".theme-dark") && context.selectors.some((selector) => selector.startsWith(".dark-mode"))
+                )
+            });
+
+            expect(result).toBe(".dark-mode .card { background: var(--bg, #111); }");
+        });
+
+        test("should warn when several definitions match equally well", async () => {
+            createTestFiles({
+                "themes.css": ":root { --bg: white; }\n.theme-dark { --bg: #111; }\n.high-contrast { --bg: black; }",
+                "card.css": ".theme-dark .high-contrast .card { background: var(--bg); }"
+            });
+
+            const result = await processResult("card.css", {
+                fallbacks: ["themes.css"],
+                contextMatching: true
+            });
+
+            expect(result.css).toBe(".theme-dark .high-contrast .card { background: var(--bg, black); }");
+            expect(result.warnings().map((warning) => warning.text)).toEqual([
+                "Variable --bg has several definitions matching this context (.theme-dark, .high-contrast), using .high-contrast"
+            ]);
+        });
+
+        test("should reject unknown strategies", () => {
+            expect(() => varFallback({ fallbacks: [], contextMatching: "closest" })).toThrow("Unknown contextMatching strategy closest");
+        });
+    });
+
+    describe("Shadow DOM and CSS Modules", () => {
+        test("should unwrap CSS Modules :global and :local selectors", async () => {
+            createTestFiles({
+                "theme.module.css": ":global(:root) { --bg: white; }\n:global .theme-dark { --bg: black; }\n:local(.card) { --radius: 4px; }",
+                "card.module.css": ".card { background: var(--bg); border-radius: var(--radius); }\n:global(.theme-dark) .card { background: var(--bg); }"
+            });
+
+            const result = await processResult("card.module.css", {
+                fallbacks: ["theme.module.css"],
+                contextMatching: true
+            });
+
+            expect(result.css).toBe(".card { background: var(--bg, white); border-radius: var(--radius, 4px); }\n:global(.theme-dark) .card { background: var(--bg, black); }");
+            expect(result.warnings()).toHaveLength(0);
+        });
+
+        test("should match :host() and :host-context() definitions by context", async () => {
+            createTestFiles({
+                "button.css": ":host { --bg: white; }\n:host(.primary) { --bg: blue; }\n:host-context(.theme-dark) { --bg: black; }",
+                "label.css": `.label { background: var(--bg); }
+:host(.primary) .label { background: var(--bg); }
+:host-context(.theme-dark) .label { background: var(--bg); }`
+            });
+
+            const result = await process("label.css", {
+                fallbacks: ["button.css"],
+                contextMatching: true
+            });
+
+            expect(result).toBe(`.label { background: var(--bg, white); }
+:host(.primary) .label { background: var(--bg, blue); }
+:host-context(.theme-dark) .label { background: var(--bg, black); }`);
+        });
+
+        test("should only use ::part() definitions through context matching", async () => {
+            createTestFiles({
+                "parts.css": "x-button::part(label) { --label-color: red; }",
+                "page.css": ".title { color: var(--label-color); }\nx-button::part(label) { color: var(--label-color); }"
+            });
+
+            expect(await process("page.css", { fallbacks: ["parts.css"] }))
+                .toBe(".title { color: var(--label-color); }\nx-button::part(label) { color: var(--label-color); }");
+            expect(await process("page.css", { fallbacks: ["parts.css"], contextMatching: true }))
+                .toBe(".title { color: var(--label-color); }\nx-button::part(label) { color: var(--label-color, red); }");
+        });
+
+        test("should use each component's own :host block as a private source", async () => {
+            createTestFiles({
+                "tokens.css": ":root { --color: red; }",
+                "x-button.css": ":host { --size: 4px; }\n.icon { width: var(--size); color: var(--color); }",
+                "x-card.css": ":host { --size: 16px; }",
+                "x-badge.css": ".dot { width: var(--size); color: var(--color); }"
+            });
+
+            const options = { fallbacks: ["tokens.css", "x-*.css"], privateHost: true };
+
+            expect(await process("x-button.css", options))
+                .toBe(":host { --size: 4px; }\n.icon { width: var(--size, 4px); color: var(--color, red); }");
+            expect(await process("x-badge.css", options))
+                .toBe(".dot { width: var(--size); color: var(--color, red); }");
+            expect(await process("x-badge.css", { ...options, privateHost: false }))
+                .toBe(".dot { width: var(--size, 16px); color: var(--color, red); }");
+        });
+    });
+
+    describe("Cascade", () => {
+        const relative = (filename) => path.relative(globalThis.process.cwd(), path.join(tempDir, filename));
+
+        test("should follow the declared layer order instead of file order", async () => {
+            createTestFiles({
+                "tokens/index.css": `@layer tokens, overrides;
+@import "overrides.css" layer(overrides);
+@import "base.css" layer(tokens);`,
+                "tokens/overrides.css": ":root { --bg: #fafafa; }",
+                "tokens/base.css": ":root { --bg: white; --fg: black; }",
+                "button.css": ".button { background: var(--bg); color: var(--fg); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["tokens/index.css"]
+            });
+
+            expect(result.css).toBe(".button { background: var(--bg, #fafafa); color: var(--fg, black); }");
+            expect(result.warnings().map((warning) => warning.text)).toEqual([
+                `Definition of --bg at ${relative("tokens/base.css")}:1 can never win over a definition in layer overrides at ${relative("tokens/overrides.css")}:1`
+            ]);
+        });
+
+        test("should let unlayered definitions override layered ones", async () => {
+            createTestFiles({
+                "theme.css": ":root { --gap: 8px; } @layer tokens { :root { --gap: 4px; } }",
+                "button.css": ".button { gap: var(--gap); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["theme.css"]
+            });
+
+            expect(result.css).toBe(".button { gap: var(--gap, 8px); }");
+            expect(result.warnings()[0].text).toContain("can never win over an unlayered definition");
+        });
+
+        test("should let !important definitions win and reverse the layer order", async () => {
+            createTestFiles({
+                "tokens.css": `@layer tokens, overrides;
+@layer tokens { :root { --fg: #333; --ring: blue !important; } }
+@layer overrides { :root { --ring: orange !important; } }`,
+                "contrast.css": ":root { --fg: black !important; }",
+                "theme.css": ":root { --fg: #444; }",
+                "button.css": ".button { color: var(--fg); outline-color: var(--ring); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["tokens.css", "contrast.css", "theme.css"]
+            });
+
+            expect(result.css).toBe(".button { color: var(--fg, black); outline-color: var(--ring, blue); }");
+            expect(result.warnings().map((warning) => warning.text)).toEqual([
+                `Definition of --ring at ${relative("tokens.css")}:3 can never win over a definition in layer tokens at ${relative("tokens.css")}:2`,
+                `Definition of --fg at ${relative("theme.css")}:1 can never win over a !important definition at ${relative("contrast.css")}:1`
+            ]);
+        });
+
+        test("should prefer the more specific selector of the default scope", async () => {
+            createTestFiles({
+                "theme.css": ":root { --bg: white; }\nhtml { --bg: gray; }",
+                "button.css": ".button { background: var(--bg); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["theme.css"]
+            });
+
+            expect(result.css).toBe(".button { background: var(--bg, white); }");
+            expect(result.warnings()[0].text).toContain("can never win over a more specific definition");
+        });
+
+        test("should keep @supports definitions out of the unconditional fallback", async () => {
+            createTestFiles({
+                "theme.css": ":root { --brand: #3b82f6; }\n@supports (color: oklch(0 0 0)) { :root { --brand: oklch(62% 0.19 260); } }",
+                "button.css": ".button { color: var(--brand); }\n@supports (color: oklch(0 0 0)) { .button { color: var(--brand); } }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["theme.css"],
+                contextMatching: true
+            });
+
+            expect(result.css).toBe(".button { color: var(--brand, #3b82f6); }\n@supports (color: oklch(0 0 0)) { .button { color: var(--brand, oklch(62% 0.19 260)); } }");
+            expect(result.warnings()).toHaveLength(0);
+        });
+
+        test("should apply the cascade to definitions matched by context", async () => {
+            createTestFiles({
+                "themes.css": ":root { --bg: white; }\n.theme-dark { --bg: #111 !important; }\n.theme-dark { --bg: #222; }",
+                "card.css": ".theme-dark .card { background: var(--bg); }"
+            });
+
+            const result = await processResult("card.css", {
+                fallbacks: ["themes.css"],
+                contextMatching: true
+            });
+
+            expect(result.css).toBe(".theme-dark .card { background: var(--bg, #111); }");
+            expect(result.warnings().map((warning) => warning.text)).toEqual([
+                `Definition of --bg at ${relative("themes.css")}:3 can never win over a !important definition at ${relative("themes.css")}:2`
+            ]);
+        });
+    });
+
+    describe("Custom Properties, Keyframes and At-rules", () => {
+        const tokens = ":root { --base: 4px; --bp: 40em; --spin: 360deg; }";
+
+        test("should add fallbacks to custom property declarations unless disabled", async () => {
+            createTestFiles({
+                "tokens.css": tokens,
+                "button.css": ".button { --gap: var(--base); gap: var(--gap); margin: var(--base); }"
+            });
+
+            expect(await process("button.css", { fallbacks: ["tokens.css"] }))
+                .toBe(".button { --gap: var(--base, 4px); gap: var(--gap); margin: var(--base, 4px); }");
+            expect(await process("button.css", { fallbacks: ["tokens.css"], customProperties: false }))
+                .toBe(".button { --gap: var(--base); gap: var(--gap); margin: var(--base, 4px); }");
+        });
+
+        test("should add fallbacks to keyframe steps unless disabled", async () => {
+            createTestFiles({
+                "tokens.css": tokens,
+                "spin.css": "@keyframes spin { to { rotate: var(--spin); } }\n.icon { margin: var(--base); }"
+            });
+
+            expect(await process("spin.css", { fallbacks: ["tokens.css"] }))
+                .toBe("@keyframes spin { to { rotate: var(--spin, 360deg); } }\n.icon { margin: var(--base, 4px); }");
+            expect(await process("spin.css", { fallbacks: ["tokens.css"], keyframes: false }))
+                .toBe("@keyframes spin { to { rotate: var(--spin); } }\n.icon { margin: var(--base, 4px); }");
+        });
+
+        test("should add fallbacks to @media, @container and @supports params when enabled", async () => {
+            createTestFiles({
+                "tokens.css": tokens,
+                "layout.css": `@media (min-width: var(--bp)) { .a { gap: var(--base); } }
+@container (width > var(--bp)) { .b { color: red; } }
+@supports (gap: var(--base)) { .c { color: red; } }`
+            });
+
+            expect(await process("layout.css", { fallbacks: ["tokens.css"] })).toBe(`@media (min-width: var(--bp)) { .a { gap: var(--base, 4px); } }
+@container (width > var(--bp)) { .b { color: red; } }
+@supports (gap: var(--base)) { .c { color: red; } }`);
+
+            const result = await processResult("layout.css", { fallbacks: ["tokens.css"], atRuleParams: true });
+
+            expect(result.css).toBe(`@media (min-width: var(--bp, 40em)) { .a { gap: var(--base, 4px); } }
+@container (width > var(--bp, 40em)) { .b { color: red; } }
+@supports (gap: var(--base, 4px)) { .c { color: red; } }`);
+            expect(result.messages.filter((message) => message.type === "var-fallback").map((message) => message.property))
+                .toEqual(["gap", "@media", "@container", "@supports"]);
+        });
+
+        test("should limit at-rule params to the listed at-rules", async () => {
+            createTestFiles({
+                "tokens.css": tokens,
+                "layout.css": "@media (min-width: var(--bp)) {}\n@container (width > var(--bp)) {}"
+            });
+
+            const result = await process("layout.css", { fallbacks: ["tokens.css"], atRuleParams: ["@media"] });
+
+            expect(result).toBe("@media (min-width: var(--bp, 40em)) {}\n@container (width > var(--bp)) {}");
+        });
+
+        test("should report undefined variables in at-rule params", async () => {
+            createTestFiles({
+                "tokens.css": tokens,
+                "layout.css": "@media (min-width: var(--breakpoint)) {}"
+            });
+
+            const result = await processResult("layout.css", { fallbacks: ["tokens.css"], atRuleParams: true, report: true });
+
+            expect(result.warnings()).toHaveLength(1);
+            expect(result.warnings()[0].text).toBe("Undefined variable --breakpoint");
+            expect(result.warnings()[0].node.type).toBe("atrule");
+        });
+
+        test("should reject invalid at-rule params", () => {
+            expect(() => varFallback({ fallbacks: [], atRuleParams: "media" })).toThrow("The atRuleParams option must be");
+        });
+    });
+
+    describe("Multiple Files and Precedence", () => {
+        test("should respect file order for variable precedence", async () => {
+            createTestFiles({
+                "base.css": ":root { --color: blue; }",
+                "theme.css": ":root { --color: red; }",
+                "button.css": ".button { color: var(--color); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["base.css", "theme.css"]
+            });
+
+            expect(result).toBe(".button { color: var(--color, red); }");
+        });
+
+        test("should handle multiple variable references in one declaration", async () => {
+            createTestFiles({
+                "spacing.css": ":root { --gap: 8px; --padding: 16px; }",
+                "component.css": ".box { margin: var(--gap) var(--padding); }"
+            });
+
+            const result = await process("component.css", {
+                fallbacks: ["spacing.css"]
+            });
+
+            expect(result).toBe(".box { margin: var(--gap, 8px) var(--padding, 16px); }");
+        });
+    });
+
+    describe("Globs and Directories", () => {
+        test("should expand glob patterns in lexicographic order", async () => {
+            createTestFiles({
+                "packages/b/tokens/color.css": ":root { --color: red; --gap: 2px; }",
+                "packages/a/tokens/color.css": ":root { --color: blue; --size: 1px; }",
+                "packages/a/tokens/spacing.css": ":root { --gap: 1px; }",
+                "button.css": ".button { color: var(--color); gap: var(--gap); width: var(--size); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["packages/*/tokens/*.css"]
+            });
+
+            expect(result.css).toBe(".button { color: var(--color, red); gap: var(--gap, 2px); width: var(--size, 1px); }");
+            expect(result.messages.filter((message) => message.type === "dir-dependency")).toEqual([{
+                type: "dir-dependency",
+                plugin: "postcss-var-fallback",
+                dir: path.join(tempDir, "packages"),
+                glob: "*/tokens/*.css",
+                parent: path.join(tempDir, "button.css")
+            }]);
+            expect(result.messages.filter((message) => message.type === "dependency").map((message) => message.file))
+                .toEqual([
+                    path.join(tempDir, "packages/a/tokens/color.css"),
+                    path.join(tempDir, "packages/a/tokens/spacing.css"),
+                    path.join(tempDir, "packages/b/tokens/color.css")
+                ]);
+        });
+
+        test("should load CSS and JSON files from directories", async () => {
+            createTestFiles({
+                "tokens/base.css": ":root { --color: blue; }",
+                "tokens/themes/brand.json": JSON.stringify({ "--color": "red", "--gap": "4px" }),
+                "tokens/readme.md": "--not: css",
+                "button.css": ".button { color: var(--color); gap: var(--gap); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["tokens"]
+            });
+
+            expect(result.css).toBe(".button { color: var(--color, red); gap: var(--gap, 4px); }");
+            expect(result.messages.filter((message) => message.type === "dir-dependency")).toEqual([{
+                type: "dir-dependency",
+                plugin: "postcss-var-fallback",
+                dir: path.join(tempDir, "tokens"),
+                glob: "**/*.{css,json}",
+                parent: path.join(tempDir, "button.css")
+            }]);
+        });
+
+        test("should warn when a glob matches nothing", async () => {
+            createTestFiles({
+                "button.css": ".button { color: var(--color); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["themes/*.css"]
+            });
+
+            expect(result.css).toBe(".button { color: var(--color); }");
+            expect(result.warnings().map((warning) => warning.text)).toEqual([
+                "Fallback pattern themes/*.css did not match any files"
+            ]);
+        });
+
+        test("should fail when a glob matches nothing and errorOnEmptyGlob is set", async () => {
+            createTestFiles({
+                "button.css": ".button { color: var(--color); }"
+            });
+
+            await expect(process("button.css", {
+                fallbacks: ["themes/*.css"],
+                errorOnEmptyGlob: true
+            })).rejects.toThrow("Fallback pattern themes/*.css did not match any files");
+        });
+    });
+
+    describe("Imports", () => {
+        test("should follow @import chains in fallback files", async () => {
+            createTestFiles({
+                "tokens/index.css": "@import \"./color.css\"; @import url(./spacing.css);",
+                "tokens/color.css": "@import url(\"./brand.css\"); :root { --primary: var(--brand); }",
+                "tokens/brand.css": ":root { --brand: #3498db; }",
+                "tokens/spacing.css": ":root { --gap: 8px; }",
+                "button.css": ".button { color: var(--primary); gap: var(--gap); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["tokens/index.css"]
+            });
+
+            expect(result.css).toBe(".button { color: var(--primary, #3498db); gap: var(--gap, 8px); }");
+            expect(result.messages.filter((message) => message.type === "dependency").map((message) => message.file))
+                .toEqual([
+                    path.join(tempDir, "tokens/index.css"),
+                    path.join(tempDir, "tokens/color.css"),
+                    path.join(tempDir, "tokens/brand.css"),
+                    path.join(tempDir, "tokens/spacing.css")
+                ]);
+        });
+
+        test("should give the importing file and later imports precedence", async () => {
+            createTestFiles({
+                "index.css": "@import \"a.css\"; @import \"b.css\"; :root { --size: 3px; }",
+                "a.css": ":root { --color: blue; --size: 1px; }",
+                "b.css": ":root { --color: red; --size: 2px; }",
+                "button.css": ".button { color: var(--color); width: var(--size); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["index.css"]
+            });
+
+            expect(result).toBe(".button { color: var(--color, red); width: var(--size, 3px); }");
+        });
+
+        test("should keep @import layer and media conditions attached to imported definitions", async () => {
+            createTestFiles({
+                "index.css": "@import \"light.css\" layer(tokens); @import \"dark.css\" layer(tokens) (prefers-color-scheme: dark);",
+                "light.css": ":root { --bg: #fff; }",
+                "dark.css": ":root { --bg: #000; --shadow: black; }",
+                "button.css": ".button { background: var(--bg); box-shadow: var(--shadow); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["index.css"],
+                strictScope: true
+            });
+
+            expect(result).toBe(".button { background: var(--bg, #fff); box-shadow: var(--shadow); }");
+        });
+
+        test("should resolve bare package specifiers through node resolution", async () => {
+            createTestFiles({
+                "node_modules/@acme/tokens/package.json": "{ \"name\": \"@acme/tokens\", \"style\": \"dist/tokens.css\" }",
+                "node_modules/@acme/tokens/dist/tokens.css": ":root { --brand: teal; }",
+                "node_modules/@acme/tokens/spacing.css": ":root { --gap: 4px; }",
+                "index.css": "@import \"@acme/tokens\"; @import \"@acme/tokens/spacing.css\";",
+                "button.css": ".button { color: var(--brand); gap: var(--gap); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["index.css"]
+            });
+
+            expect(result).toBe(".button { color: var(--brand, teal); gap: var(--gap, 4px); }");
+        });
+
+        test("should warn about circular and unresolvable imports", async () => {
+            createTestFiles({
+                "a.css": "@import \"./b.css\"; @import \"./missing.css\"; :root { --a: 1px; }",
+                "b.css": "@import \"./a.css\"; :root { --b: 2px; }",
+                "button.css": ".button { margin: var(--a) var(--b); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["a.css"]
+            });
+
+            expect(result.css).toBe(".button { margin: var(--a, 1px) var(--b, 2px); }");
+            // Locations are relative to the working directory
+            const relative = (filename) => path.relative(globalThis.process.cwd(), path.join(tempDir, filename));
+
+            expect(result.warnings().map((warning) => warning.text)).toEqual([
+                `Circular @import of ./a.css (${relative("b.css")}:1)`,
+                expect.stringContaining(`Error processing @import ./missing.css (${relative("a.css")}:1): ENOENT: no such file or directory`)
+            ]);
+        });
+    });
+
+    describe("Design Tokens", () => {
+        test("should accept inline token objects", async () => {
+            createTestFiles({
+                "base.css": ":root { --primary: blue; --gap: 4px; }",
+                "button.css": ".button { color: var(--primary); gap: var(--gap); z-index: var(--z); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["base.css", { "--primary": "#333", "--z": 10 }]
+            });
+
+            expect(result).toBe(".button { color: var(--primary, #333); gap: var(--gap, 4px); z-index: var(--z, 10); }");
+        });
+
+        test("should load W3C design tokens with aliases", async () => {
+            createTestFiles({
+                "tokens.json": JSON.stringify({
+                    color: {
+                        $type: "color",
+                        brand: { $value: "#3498db" },
+                        primary: { $value: "{color.brand}" }
+                    },
+                    space: {
+                        small: { $type: "dimension", $value: { value: 4, unit: "px" } }
+                    },
+                    font: {
+                        body: { $type: "fontFamily", $value: ["Helvetica Neue", "sans-serif"] }
+                    },
+                    easing: {
+                        standard: { $type: "cubicBezier", $value: [0.4, 0, 0.2, 1] }
+                    },
+                    shadow: {
+                        card: {
+                            $type: "shadow",
+                            $value: { offsetX: "0", offsetY: "1px", blur: "2px", spread: "0", color: "{color.brand}" }
+                        }
+                    }
+                }),
+                "button.css": ".button { color: var(--color-primary); padding: var(--space-small); font-family: var(--font-body); transition-timing-function: var(--easing-standard); box-shadow: var(--shadow-card); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["tokens.json"]
+            });
+
+            expect(result).toBe(
+                ".button { color: var(--color-primary, #3498db); padding: var(--space-small, 4px); " +
+                "font-family: var(--font-body, \"Helvetica Neue\", sans-serif); " +
+                "transition-timing-function: var(--easing-standard, cubic-bezier(0.4, 0, 0.2, 1)); " +
+                "box-shadow: var(--shadow-card, 0 1px 2px 0 #3498db); }"
+            );
+        });
+
+        test("should load flat JSON tokens and use a custom naming function", async () => {
+            createTestFiles({
+                "tokens.json": JSON.stringify({ color: { brand: "teal", link: "{color.brand}" } }),
+                "button.css": ".button { color: var(--ds-color-link); }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["tokens.json"],
+                tokenName: (tokenPath) => `--ds-${tokenPath.join("-")}`
+            });
+
+            expect(result).toBe(".button { color: var(--ds-color-link, teal); }");
+        });
+
+        test("should load Style Dictionary JS exports and async functions", async () => {
+            createTestFiles({
+                "tokens.js": "module.exports = { size: { base: { value: \"16px\" }, large: { value: \"calc({size.base} * 2)\" } } };",
+                "theme.js": "module.exports = async () => ({ \"--accent\": \"orange\" });",
+                "button.css": ".button { font-size: var(--size-large); color: var(--accent); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["tokens.js", "theme.js"]
+            });
+
+            expect(result.css).toBe(".button { font-size: var(--size-large, calc(16px * 2)); color: var(--accent, orange); }");
+            expect(result.messages.filter((message) => message.type === "dependency").map((message) => message.file))
+                .toEqual([path.join(tempDir, "tokens.js"), path.join(tempDir, "theme.js")]);
+        });
+
+        test("should warn about tokens without a CSS representation", async () => {
+            createTestFiles({
+                "tokens.json": JSON.stringify({
+                    heading: { $type: "typography", $value: { fontFamily: "Inter", fontSize: "2rem" } },
+                    gap: { $value: "8px" }
+                }),
+                "button.css": ".button { gap: var(--gap); }"
+            });
+
+            const result = await processResult("button.css", {
+                fallbacks: ["tokens.json"]
+            });
+
+            expect(result.css).toBe(".button { gap: var(--gap, 8px); }");
+            expect(result.warnings().map((warning) => warning.text)).toEqual([
+                `Unsupported value for token heading in ${path.join(tempDir, "tokens.json")}`
+            ]);
+        });
+    });
+
+    describe("Fallback Report", () => {
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test("should record every inserted fallback as a message", async () => {
+            createTestFiles({
+                "vars.css": ":root {\n  --size: 4px;\n  --gap: var(--size);\n}",
+                "box.css": ".box {\n  margin: 0 var(--gap);\n  color: var(--unknown);\n}"
+            });
+
+            const result = await processResult("box.css", {
+                fallbacks: ["vars.css"]
+            });
+
+            const messages = result.messages.filter((message) => message.type === "var-fallback");
+
+            expect(messages).toHaveLength(1);
+            expect(messages[0]).toEqual({
+                type: "var-fallback",
+                plugin: "postcss-var-fallback",
+                node: result.root.first.first,
+                property: "margin",
+                variable: "--gap",
+                value: "4px",
+                definition: { file: path.join(tempDir, "vars.css"), line: 3, column: 3 },
+                chain: [
+                    { variable: "--gap", file: path.join(tempDir, "vars.css"), line: 3, column: 3 },
+                    { variable: "--size", file: path.join(tempDir, "vars.css"), line: 2, column: 3 }
+                ],
+                line: 2,
+                column: 13
+            });
+        });
+
+        test("should aggregate a JSON report across processed files", async () => {
+            createTestFiles({
+                "vars.css": ":root { --color: red; --a: var(--b); --b: var(--a); }",
+                "a.css": ".a { color: var(--color); background: var(--missing); }",
+                "b.css": ".b { color: var(--color); border-color: var(--a); }"
+            });
+
+            const reportFile = path.join(tempDir, "reports/fallbacks.json");
+            const plugin = varFallback({ fallbacks: ["vars.css"], reportFile });
+
+            jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate", "queueMicrotask"] });
+
+            for (const file of ["a.css", "b.css"]) {
+                await postcss([plugin]).process(fs.readFileSync(path.join(tempDir, file), "utf8"), {
+                    from: path.join(tempDir, file)
+                });
+            }
+
+            // The report is written shortly after the last processed file
+            expect(fs.existsSync(reportFile)).toBe(false);
+            jest.runOnlyPendingTimers();
+
+            const relative = (filename) => path.relative(globalThis.process.cwd(), path.join(tempDir, filename));
+            const report = JSON.parse(fs.readFileSync(reportFile, "utf8"));
+
+            expect(report.totals).toEqual({ files: 2, fallbacks: 2, unresolved: 1, circular: 1 });
+            expect(report.files[relative("a.css")]).toEqual({
+                fallbacks: [{
+                    variable: "--color",
+                    value: "red",
+                    property: "color",
+                    line: 1,
+                    column: 13,
+                    definition: { file: relative("vars.css"), line: 1, column: 9 },
+                    chain: [{ variable: "--color", file: relative("vars.css"), line: 1, column: 9 }]
+                }],
+                unresolved: [{ variable: "--missing", line: 1, column: 39 }],
+                circular: []
+            });
+            expect(report.files[relative("b.css")].circular).toEqual([{ variable: "--a", line: 1, column: 41, cycle: ["--a", "--b", "--a"] }]);
+        });
+
+        test("should warn on the next processed file when the report can't be written", async () => {
+            createTestFiles({
+                "vars.css": ":root { --color: red; }",
+                "a.css": ".a { color: var(--color); }"
+            });
+
+            // A directory can't be created inside a regular file
+            const reportFile = path.join(tempDir, "vars.css/fallbacks.json");
+            const plugin = varFallback({ fallbacks: ["vars.css"], reportFile });
+            const processFile = () => postcss([plugin]).process(fs.readFileSync(path.join(tempDir, "a.css"), "utf8"), {
+                from: path.join(tempDir, "a.css")
+            });
+
+            jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate", "queueMicrotask"] });
+
+            expect((await processFile()).warnings()).toHaveLength(0);
+            expect(() => jest.runOnlyPendingTimers()).not.toThrow();
+
+            const [warning] = (await processFile()).warnings();
+
+            expect(warning.text).toMatch(`Could not write report ${reportFile}: `);
+
+            // Writes succeed again once the path is fixed
+            fs.rmSync(path.join(tempDir, "vars.css"));
+            jest.runOnlyPendingTimers();
+            expect(fs.existsSync(reportFile)).toBe(true);
+        });
+
+        test("should add provenance comments", async () => {
+            createTestFiles({
+                "tokens/palette.css": ":root {\n  --blue-500: #3498db;\n}",
+                "tokens/color.css": ":root {\n  --primary: var(--blue-500);\n  --gap: 4px;\n}",
+                "button.css": ".button { color: var(--primary) }\n.card { color: var(--primary); margin: var(--gap) var(--primary) var(--missing, 2px); }"
+            });
+
+            const relative = (filename) => path.relative(globalThis.process.cwd(), path.join(tempDir, filename));
+            const result = await process("button.css", {
+                fallbacks: ["tokens/palette.css", "tokens/color.css"],
+                sourceComments: true
+            });
+
+            expect(result).toBe(
+                `.button { color: var(--primary, #3498db) /* var-fallback: from ${relative("tokens/color.css")}:2 via --blue-500 at ${relative("tokens/palette.css")}:2 */ }\n` +
+                `.card { color: var(--primary, #3498db); /* var-fallback: from ${relative("tokens/color.css")}:2 via --blue-500 at ${relative("tokens/palette.css")}:2 */ ` +
+                `margin: var(--gap, 4px) var(--primary, #3498db) var(--missing, 2px); /* var-fallback: --gap from ${relative("tokens/color.css")}:3; ` +
+                `--primary from ${relative("tokens/color.css")}:2 via --blue-500 at ${relative("tokens/palette.css")}:2 */ }`
+            );
+        });
+
+        test("should update provenance comments when processed again", async () => {
+            createTestFiles({
+                "vars.css": ":root { --color: red; }",
+                "button.css": ".button { color: var(--color, blue); /* var-fallback: from old.css:1 */ }"
+            });
+
+            const result = await process("button.css", {
+                fallbacks: ["vars.css"],
+                sourceComments: true
+            });
+
+            expect(result).toBe(`.button { color: var(--color, red); /* var-fallback: from ${path.relative(globalThis.process.cwd(), path.join(tempDir, "vars.css"))}:1 */ }`);
+        });
+
+        test("should keep the author's comments", async () => {
+            createTestFiles({
+                "vars.css": ":root { --x: 4px; }",
+                "box.css": ".a { margin: var(--x); /* from the Figma spec, do not change */ }"
+            });
+
+            const result = await process("box.css", {
+                fallbacks: ["vars.css"],
+                sourceComments: true
+            });
+
+            expect(result).toBe(
+                `.a { margin: var(--x, 4px); /* var-fallback: from ${path.relative(globalThis.process.cwd(), path.join(tempDir, "vars.css"))}:1 */ ` +
+                "/* from the Figma spec, do not change */ }"
+            );
+        });
+
+        test("should map provenance comments to the definitions in source maps", async () => {
+            createTestFiles({
+                "vars.css": ":root {\n  --color: red;\n}",
+                "button.css": ".button {\n  color: var(--color);\n}"
+            });
+
+            const result = await postcss([varFallback({ fallbacks: ["vars.css"], sourceComments: true })]).process(
+                fs.readFileSync(path.join(tempDir, "button.css"), "utf8"),
+                { from: path.join(tempDir, "button.css"), to: path.join(tempDir, "out.css"), map: { inline: false } }
+            );
+            const output = new postcss.Input(result.css, {
+                from: path.join(tempDir, "out.css"),
+                map: { prev: result.map.toJSON() }
+            });
+            const column = result.css.split("\n")[1].indexOf("/*") + 1;
+
+            expect(output.origin(2, 3)).toMatchObject({ file: path.join(tempDir, "button.css"), line: 2 });
+            expect(output.origin(2, column)).toMatchObject({ file: path.join(tempDir, "vars.css"), line: 2, column: 3 });
+            expect(result.map.toJSON().sourcesContent).toContain(":root {\n  --color: red;\n}");
+        });
+    });
+
+    describe("Token Coverage", () => {
+        const relative = (filename) => path.relative(globalThis.process.cwd(), path.join(tempDir, filename));
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test("should collect unused, nested-only and per-file usages across files", async () => {
+            createTestFiles({
+                "tokens.css": ":root {\n  --blue-500: #3498db;\n  --brand: var(--blue-500);\n  --gap: 4px;\n  --radius: 2px;\n}",
+                "a.css": ".a { color: var(--brand); margin: var(--gap) var(--gap); }",
+                "b.css": ".b { padding: var(--gap); color: var(--missing); }"
+            });
+
+            const coverageFile = path.join(tempDir, "reports/coverage.json");
+            const plugin = varFallback({ fallbacks: ["tokens.css"], coverageFile });
+
+            jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate", "queueMicrotask"] });
+
+            const results = await Promise.all(["a.css", "b.css"].map((file) => (
+                postcss([plugin]).process(fs.readFileSync(path.join(tempDir, file), "utf8"), { from: path.join(tempDir, file) })
+            )));
+
+            // The JSON is written shortly after the last processed file
+            jest.runOnlyPendingTimers();
+
+            const expected = {
+                totals: { tokens: 4, used: 2, nestedOnly: 1, unused: 1 },
+                unused: [{ variable: "--radius", file: relative("tokens.css"), line: 5 }],
+                nestedOnly: [{ variable: "--blue-500", file: relative("tokens.css"), line: 2 }],
+                files: {
+                    [relative("a.css")]: { "--brand": 1, "--gap": 2 },
+                    [relative("b.css")]: { "--gap": 1, "--missing": 1 }
+                }
+            };
+
+            const summary = `Token coverage: 2 of 4 variables used, 1 only through other variables, 1 unused (see ${coverageFile})`;
+
+            expect(JSON.parse(fs.readFileSync(coverageFile, "utf8"))).toEqual(expected);
+
+            // Files processed together get a single summary, on the last one
+            expect(results.map((result) => result.warnings().map((warning) => warning.text))).toEqual([[], [summary]]);
+
+            // Programmatic callers can write the file and get the summary when the build is over
+            fs.rmSync(coverageFile);
+
+            expect(plugin.flushCoverage()).toEqual({ ...expected, summary });
+            expect(JSON.parse(fs.readFileSync(coverageFile, "utf8"))).toEqual(expected);
+        });
+
+        test("should replace the usages of a file processed again", async () => {
+            createTestFiles({
+                "tokens.css": ":root { --gap: 4px; --radius: 2px; }",
+                "a.css": ".a { margin: var(--gap); }"
+            });
+
+            const coverageFile = path.join(tempDir, "coverage.json");
+            const plugin = varFallback({ fallbacks: ["tokens.css"], coverageFile });
+            const processFile = () => postcss([plugin]).process(fs.readFileSync(path.join(tempDir, "a.css"), "utf8"), {
+                from: path.join(tempDir, "a.css")
+            });
+
+            await processFile();
+            createTestFiles({ "a.css": ".a { border-radius: var(--radius); }" });
+            const result = await processFile();
+
+            expect(result.warnings()[0].text).toBe(`Token coverage: 1 of 2 variables used, 0 only through other variables, 1 unused (see ${coverageFile})`);
+            expect(plugin.flushCoverage().summary).toBe(`Token coverage: 1 of 2 variables used, 0 only through other variables, 1 unused (see ${coverageFile})`);
+            expect(varFallback({ fallbacks: ["tokens.css"] }).flushCoverage()).toBeNull();
+        });
+
+        test("should warn on the next processed file when the coverage can't be written", async () => {
+            createTestFiles({
+                "tokens.css": ":root { --gap: 4px; }",
+                "a.css": ".a { margin: var(--gap); }"
+            });
+
+            // A directory can't be created inside a regular file
+            const coverageFile = path.join(tempDir, "tokens.css/coverage.json");
+            const plugin = varFallback({ fallbacks: ["tokens.css"], coverageFile });
+            const processFile = () => postcss([plugin]).process(fs.readFileSync(path.join(tempDir, "a.css"), "utf8"), {
+                from: path.join(tempDir, "a.css")
+            });
+
+            jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate", "queueMicrotask"] });
+
+            await processFile();
+            expect(() => jest.runOnlyPendingTimers()).not.toThrow();
+
+            const [warning] = (await processFile()).warnings();
+
+            expect(warning.text).toMatch(`Could not write coverage ${coverageFile}: `);
+            expect(() => plugin.flushCoverage()).toThrow();
+        });
+    });
+
+    describe("Circular References", () => {
+        const relative = (filename) => path.relative(globalThis.process.cwd(), path.join(tempDir, filename));
+
+        test("should report each cycle once with its path, definitions and dependents", async () => {
+            createTestFiles({
+                "tokens.css": ":root {\n  --a: var(--b);\n  --b: var(--c);\n  --c: var(--a);\n  --d: var(--a);\n  --e: calc(var(--d) * 2);\n  --f: 4px;\n}",
+                "button.css": ".button { margin: var(--a) var(--e) var(--f); }"
+            });
+
+            const result = await processResult("button.css", { fallbacks: ["tokens.css"] });
+
+            expect(result.css).toBe(".button { margin: var(--a) var(--e) var(--f, 4px); }");
+            expect(result.warnings().map((warning) => warning.text)).toEqual([
+                `Circular reference --a → --b → --c → --a (--a at ${relative("tokens.css")}:2, --b at ${relative("tokens.css")}:3, ` +
+                    `--c at ${relative("tokens.css")}:4), --d, --e depend on it and get no fallbacks`
+            ]);
+        });
+
+        test("should report every cycle through shared variables", async () => {
+            createTestFiles({
+                "crossing.css": ":root {\n  --a: var(--b) var(--x);\n  --b: var(--c);\n  --c: var(--a);\n  --x: var(--c);\n}",
+                "shortcut.css": ":root {\n  --a: var(--b) var(--c);\n  --b: var(--c);\n  --c: var(--a);\n}"
+            });
+
+            const paths = async (file) => (await varFallback.createResolver({ fallbacks: [file], cwd: tempDir }).getCycles())
+                .map((cycle) => [cycle.path.join(" → "), cycle.dependents]);
+
+            // --x is part of a cycle, not a variable depending on one
+            expect(await paths("crossing.css")).toEqual([
+                ["--a → --b → --c → --a", []],
+                ["--a → --x → --c → --a", []]
+            ]);
+            expect(await paths("shortcut.css")).toEqual([
+                ["--a → --b → --c → --a", []],
+                ["--a → --c → --a", []]
+            ]);
+        });
+
+        test("should cap the cycles listed for densely connected variables", async () => {
+            const names = Array.from({ length: 9 }, (_, index) => `--v${index}`);
+
+            createTestFiles({
+                "tokens.css": `:root {\n${names.map((name) => `  ${name}: ${names.map((other) => `var(${other})`).join(" ")};`).join("\n")}\n  --w: var(--v8);\n}`,
+                "input.css": ".a { margin: var(--v4); padding: var(--w); }"
+            });
+
+            const result = await processResult("input.css", { fallbacks: ["tokens.css"] });
+            const texts = result.warnings().map((warning) => warning.text);
+
+            expect(result.css).toBe(".a { margin: var(--v4); padding: var(--w); }");
+            expect(texts).toHaveLength(11);
+            expect(texts[0]).toMatch(/^Circular reference --v0 → --v0 \(.*\), --w depends on it and gets no fallback$/);
+            expect(texts[10]).toBe(`Variables ${names.join(", ")} reference each other in more than 10 cycles, only the first 10 are reported`);
+        });
+
+        test("should report a cycle found in a declaration's context once", async () => {
+            createTestFiles({
+                "tokens.css": ":root { --a: 1px; --b: var(--a); }\n.dark { --a: var(--b); }",
+                "card.css": ".dark .card { margin: var(--a); padding: var(--b); }\n.card { margin: var(--a); }"
+            });
+
+            const result = await processResult("card.css", { fallbacks: ["tokens.css"], contextMatching: true });
+
+            expect(result.css).toBe(".dark .card { margin: var(--a); padding: var(--b); }\n.card { margin: var(--a, 1px); }");
+            expect(result.warnings().map((warning) => warning.text)).toEqual([
+                `Circular reference --a → --b → --a (--a at ${relative("tokens.css")}:2, --b at ${relative("tokens.css")}:1)`
+            ]);
+        });
+
+        test("should follow the circularReferences severity", async () => {
+            createTestFiles({
+                "tokens.css": ":root { --a: var(--b); --b: var(--a); --c: var(--c); }",
+                "button.css": ".button { color: var(--a); }"
+            });
+
+            const ignored = await processResult("button.css", { fallbacks: ["tokens.css"], circularReferences: "ignore" });
+
+            expect(ignored.css).toBe(".button { color: var(--a); }");
+            expect(ignored.warnings()).toHaveLength(0);
+
+            await expect(processResult("button.css", { fallbacks: ["tokens.css"], circularReferences: "error" })).rejects.toThrow(
+                `Circular reference --a → --b → --a (--a at ${relative("tokens.css")}:1, --b at ${relative("tokens.css")}:1) (and 1 more circular reference)`
+            );
+            expect(() => varFallback({ circularReferences: "fail" })).toThrow("The circularReferences option must be one of ignore, warn, error");
+        });
+    });
+
+    describe("Resolver API", () => {
+        test("should resolve variables and describe their definitions", async () => {
+            createTestFiles({
+                "tokens.css": ":root {\n  --blue-500: #3498db;\n  --brand: var(--blue-500);\n}\n.dark { --brand: black; }"
+            });
+
+            const resolver = varFallback.createResolver({ fallbacks: ["tokens.css"], cwd: tempDir });
+
+            expect(await resolver.resolve("--brand")).toBe("#3498db");
+            expect(await resolver.resolve("--missing")).toBeNull();
+            expect(await resolver.listVariables()).toEqual(["--blue-500", "--brand"]);
+            expect(await resolver.getDefinition("--missing")).toBeNull();
+            expect(await resolver.getDefinition("--brand")).toEqual({
+                name: "--brand",
+                value: "var(--blue-500)",
+                resolved: "#3498db",
+                scope: ":root",
+                important: false,
+                source: { file: path.join(tempDir, "tokens.css"), line: 3, column: 3 },
+                chain: [
+                    { variable: "--brand", file: path.join(tempDir, "tokens.css"), line: 3, column: 3 },
+                    { variable: "--blue-500", file: path.join(tempDir, "tokens.css"), line: 2, column: 3 }
+                ]
+            });
+        });
+
+        test("should list each cycle once with its definitions", async () => {
+            createTestFiles({
+                "tokens.css": ":root {\n  --a: var(--b);\n  --b: calc(var(--a) + 1px);\n  --c: var(--c);\n  --d: var(--a);\n}"
+            });
+
+            const resolver = varFallback.createResolver({ fallbacks: ["tokens.css"], cwd: tempDir });
+            const file = path.join(tempDir, "tokens.css");
+
+            expect(await resolver.resolve("--a")).toBeNull();
+            expect(await resolver.getCycles()).toEqual([
+                {
+                    path: ["--a", "--b", "--a"],
+                    definitions: [
+                        { variable: "--a", file, line: 2, column: 3 },
+                        { variable: "--b", file, line: 3, column: 3 }
+                    ],
+                    dependents: ["--d"]
+                },
+                {
+                    path: ["--c", "--c"],
+                    definitions: [{ variable: "--c", file, line: 4, column: 3 }],
+                    dependents: []
+                }
+            ]);
+        });
+
+        test("should resolve relative sources against the working directory by default", async () => {
+            createTestFiles({
+                "tokens.css": ":root { --gap: 4px; }"
+            });
+
+            const resolver = varFallback.createResolver({
+                fallbacks: [path.relative(globalThis.process.cwd(), path.join(tempDir, "tokens.css")), { radius: "2px" }]
+            });
+
+            expect(await resolver.listVariables()).toEqual(["--gap", "--radius"]);
+            expect(await resolver.resolve("--radius")).toBe("2px");
+        });
+
+        test("should list the problems found while loading the sources", async () => {
+            createTestFiles({
+                "tokens.css": ":root { --gap: 4px; }"
+            });
+
+            const resolver = varFallback.createResolver({ fallbacks: ["missing.css", "empty/*.css", "tokens.css"], cwd: tempDir });
+
+            expect(await resolver.listVariables()).toEqual(["--gap"]);
+            expect(await resolver.getWarnings()).toEqual([
+                "Fallback pattern empty/*.css did not match any files",
+                expect.stringContaining("Error processing fallback file missing.css: ENOENT")
+            ]);
+        });
 
-    // Clean up after each test
-    afterEach(() => {
-        if (fs.existsSync(tempDir)) {
-            fs.readdirSync(tempDir).forEach(file => {
-                fs.unlinkSync(path.join(tempDir, file));
-            });
-            fs.rmdirSync(tempDir);
-        }
+        test("should only expose the documented methods", () => {
+            expect(Object.keys(varFallback.createResolver({ fallbacks: [] })).sort()).toEqual(["getCycles", "getDefinition", "getWarnings", "listVariables", "resolve"]);
+        });
+
+        test("should validate options when created", () => {
+            expect(() => varFallback.createResolver({ contextMatching: "nearest" })).toThrow(TypeError);
+        });
     });
 
-    describe("Basic Functionality", () => {
-        test("should add fallbacks to simple variables", async () => {
+    describe("Static Fallbacks", () => {
+        test("should insert a static declaration before the var() declaration", async () => {
             createTestFiles({
-                "base-vars.css": ":root { --font-family: \"Arial\"; }",
-                "button.css": ".button { font-family: var(--font-family); }"
+                "vars.css": ":root { --primary: #3498db; --gap: 4px; }",
+                "button.css": ".button {\n  color: var(--primary);\n  margin: 0 var(--gap) !important;\n  border: 1px solid var(--missing, black);\n}"
             });
 
             const result = await process("button.css", {
-                fallbacks: ["base-vars.css"]
+                fallbacks: ["vars.css"],
+                staticFallback: true
             });
 
-            expect(result).toBe(".button { font-family: var(--font-family, \"Arial\"); }");
+            expect(result).toBe(
+                ".button {\n  color: #3498db;\n  color: var(--primary, #3498db);\n" +
+                "  margin: 0 4px !important;\n  margin: 0 var(--gap, 4px) !important;\n" +
+                "  border: 1px solid black;\n  border: 1px solid var(--missing, black);\n}"
+            );
         });
 
-        test("should handle nested variable references", async () => {
+        test("should skip identical preceding declarations, custom properties and unresolved variables", async () => {
             createTestFiles({
-                "base-vars.css": ":root { --size: 16px; --base-padding: var(--size); }",
-                "theme.css": ":root { --padding: var(--base-padding); }",
-                "button.css": ".button { padding: var(--padding); }"
+                "vars.css": ":root { --primary: #3498db; }",
+                "button.css": ".button { --accent: var(--primary); color: #3498db; color: var(--primary); background: var(--missing); }"
             });
 
             const result = await process("button.css", {
-                fallbacks: ["base-vars.css", "theme.css"]
+                fallbacks: ["vars.css"],
+                staticFallback: true
             });
 
-            expect(result).toBe(".button { padding: var(--padding, 16px); }");
+            expect(result).toBe(".button { --accent: var(--primary, #3498db); color: #3498db; color: var(--primary, #3498db); background: var(--missing); }");
+
+            // Processing the output again adds nothing
+            createTestFiles({ "output.css": result });
+
+            expect(await process("output.css", { fallbacks: ["vars.css"], staticFallback: true })).toBe(result);
         });
 
-        test("should leave unknown variables unchanged", async () => {
+        test("should use transformed fallbacks", async () => {
             createTestFiles({
-                "base-vars.css": ":root { --known: blue; }",
-                "button.css": ".button { color: var(--unknown); background: var(--known); }"
+                "vars.css": ":root { --size: calc(4px * 4); }",
+                "card.css": ".card { padding: var(--size); }"
             });
 
-            const result = await process("button.css", {
-                fallbacks: ["base-vars.css"]
+            const result = await process("card.css", {
+                fallbacks: ["vars.css"],
+                staticFallback: true,
+                foldCalc: true
+            });
+
+            expect(result).toBe(".card { padding: 16px; padding: var(--size, 16px); }");
+        });
+    });
+
+    describe("Property Registration", () => {
+        test("should register the variables used in the file with inferred syntaxes", async () => {
+            createTestFiles({
+                "vars.css": `:root {
+                    --brand: oklch(0.7 0.15 250);
+                    --alias: var(--brand);
+                    --gap: calc(4px * 4);
+                    --ratio: 1.5;
+                    --half: 50%;
+                    --rem: 1rem;
+                    --text: currentColor;
+                    --font: Arial, sans-serif;
+                    --unused: 2px;
+                }`,
+                "card.css": "@import \"reset.css\";\n.card {\n  color: var(--alias);\n  gap: var(--gap);\n  opacity: var(--ratio);\n  width: var(--half);\n  margin: var(--rem);\n  fill: var(--text);\n  font-family: var(--font);\n}"
+            });
+
+            const result = await process("card.css", {
+                fallbacks: ["vars.css"],
+                registerProperties: true
             });
 
             expect(result).toBe(
-                ".button { color: var(--unknown); background: var(--known, blue); }"
+                "@import \"reset.css\";\n" +
+                "@property --alias {\n  syntax: \"<color>\";\n  inherits: true;\n  initial-value: oklch(0.7 0.15 250);\n}\n" +
+                "@property --gap {\n  syntax: \"<length>\";\n  inherits: true;\n  initial-value: 16px;\n}\n" +
+                "@property --ratio {\n  syntax: \"<number>\";\n  inherits: true;\n  initial-value: 1.5;\n}\n" +
+                "@property --half {\n  syntax: \"<percentage>\";\n  inherits: true;\n  initial-value: 50%;\n}\n" +
+                ".card {\n  color: var(--alias, oklch(0.7 0.15 250));\n  gap: var(--gap, calc(4px * 4));\n  opacity: var(--ratio, 1.5);\n" +
+                "  width: var(--half, 50%);\n  margin: var(--rem, 1rem);\n  fill: var(--text, currentColor);\n  font-family: var(--font, Arial, sans-serif);\n}"
             );
         });
-    });
 
-    describe("Edge Cases", () => {
-        test("should handle variables with existing fallbacks", async () => {
+        test("should insert the rules after leading comments, @layer statements and @import rules", async () => {
             createTestFiles({
-                "base-vars.css": ":root { --color: blue; }",
-                "button.css": ".button { color: var(--color, red); }"
+                "vars.css": ":root { --gap: 4px; }",
+                "layered.css": "@layer base, components;\n@import \"x.css\" layer(base);\n.box { margin: var(--gap); }",
+                "commented.css": "/* header */\n@import \"x.css\";\n.box { margin: var(--gap); }"
+            });
+
+            const property = "@property --gap { syntax: \"<length>\"; inherits: true; initial-value: 4px; }\n";
+
+            expect(await process("layered.css", { fallbacks: ["vars.css"], registerProperties: true })).toBe(
+                `@layer base, components;\n@import "x.css" layer(base);\n${property}.box { margin: var(--gap, 4px); }`
+            );
+            expect(await process("commented.css", { fallbacks: ["vars.css"], registerProperties: true })).toBe(
+                `/* header */\n@import "x.css";\n${property}.box { margin: var(--gap, 4px); }`
+            );
+        });
+
+        test("should apply per-variable overrides and skip registered variables", async () => {
+            createTestFiles({
+                "vars.css": ":root { --angle: 45deg; --font: Arial; --ratio: 2; --gap: 4px; }",
+                "box.css": "@property --gap { syntax: \"<length>\"; inherits: false; initial-value: 0px; }\n.box { rotate: var(--angle); font-family: var(--font); z-index: var(--ratio); margin: var(--gap); }"
+            });
+
+            const root = postcss.parse(await process("box.css", {
+                fallbacks: ["vars.css"],
+                registerProperties: {
+                    inherits: false,
+                    overrides: {
+                        "--font": { syntax: "*", inherits: true },
+                        "--ratio": false
+                    }
+                }
+            }));
+            const rules = {};
+
+            root.walkAtRules("property", (atRule) => {
+                rules[atRule.params] = Object.fromEntries(atRule.nodes.map((decl) => [decl.prop, decl.value]));
+            });
+
+            expect(rules).toEqual({
+                "--angle": { "syntax": "\"<angle>\"", "inherits": "false", "initial-value": "45deg" },
+                "--font": { "syntax": "\"*\"", "inherits": "true", "initial-value": "Arial" },
+                "--gap": { "syntax": "\"<length>\"", "inherits": "false", "initial-value": "0px" }
+            });
+        });
+
+        test("should write the rules of every fallback variable to a separate file", async () => {
+            createTestFiles({
+                "vars.css": ":root { --color: red; --gap: 4px; --font: Arial; }",
+                "button.css": ".button { color: var(--color); }"
             });
 
+            const file = path.join(tempDir, "dist/properties.css");
             const result = await process("button.css", {
-                fallbacks: ["base-vars.css"]
+                fallbacks: ["vars.css"],
+                registerProperties: { file }
             });
 
-            expect(result).toBe(".button { color: var(--color, blue); }");
+            expect(result).toBe(".button { color: var(--color, red); }");
+            expect(fs.readFileSync(file, "utf8")).toBe(
+                "@property --color {\n    syntax: \"<color>\";\n    inherits: true;\n    initial-value: red;\n}\n" +
+                "@property --gap {\n    syntax: \"<length>\";\n    inherits: true;\n    initial-value: 4px;\n}\n"
+            );
         });
+    });
 
-        test("should handle complex values", async () => {
+    describe("Transforms", () => {
+        test("should pass resolved values through the transform hook", async () => {
             createTestFiles({
-                "base-vars.css": ":root { --transform: rotate(45deg) scale(1.5); }",
-                "button.css": ".button { transform: var(--transform); }"
+                "vars.css": ":root {\n  --color: red;\n  --gap: 4px;\n  --shadow: none;\n}",
+                "box.css": ".box { color: var(--color); margin: var(--gap); box-shadow: var(--shadow, 0 0 1px); }"
+            });
+
+            const calls = [];
+            const result = await process("box.css", {
+                fallbacks: ["vars.css"],
+                transform: (name, value, context) => {
+                    calls.push([name, value, context.property, context.definition.line]);
+
+                    if (name === "--color") {
+                        return value.toUpperCase();
+                    }
+
+                    // No fallback at all, the authored one is kept
+                    return name === "--shadow" ? null : undefined;
+                }
+            });
+
+            expect(result).toBe(".box { color: var(--color, RED); margin: var(--gap, 4px); box-shadow: var(--shadow, 0 0 1px); }");
+            expect(calls).toEqual([
+                ["--color", "red", "color", 2],
+                ["--gap", "4px", "margin", 3],
+                ["--shadow", "none", "box-shadow", 4]
+            ]);
+        });
+
+        test("should fold constant calc() expressions", async () => {
+            createTestFiles({
+                "vars.css": ":root { --unit: 4px; --medium: calc(var(--unit) * 4); --wide: calc(100% - calc(var(--unit) * 2)); --half: calc((1px + 2px) / 2); }",
+                "card.css": ".card { padding: var(--medium); width: var(--wide); margin: var(--half); }"
+            });
+
+            const result = await process("card.css", {
+                fallbacks: ["vars.css"],
+                foldCalc: true
+            });
+
+            expect(result).toBe(".card { padding: var(--medium, 16px); width: var(--wide, calc(100% - 8px)); margin: var(--half, 1.5px); }");
+        });
+
+        test("should not fold sums without whitespace around the operator", async () => {
+            createTestFiles({
+                "vars.css": ":root { --unit: 4px; --tight: calc(var(--unit)+2px); --loose: calc(1px -2px); --scaled: calc(var(--unit)*2); }",
+                "card.css": ".card { padding: var(--tight); margin: var(--loose); gap: var(--scaled); }"
+            });
+
+            const result = await process("card.css", {
+                fallbacks: ["vars.css"],
+                foldCalc: true
+            });
+
+            expect(result).toBe(".card { padding: var(--tight, calc(4px+2px)); margin: var(--loose, calc(1px -2px)); gap: var(--scaled, 8px); }");
+        });
+
+        test("should downlevel modern colors", async () => {
+            createTestFiles({
+                "vars.css": `:root {
+                    --brand: oklch(62.8% 0.2577 29.23);
+                    --mix: color-mix(in srgb, red 50%, blue);
+                    --overlay: rgb(52 152 219 / 50%);
+                    --p3: color(display-p3 0 1 0);
+                    --legacy: rgb(52, 152, 219);
+                    --unknown: color-mix(in srgb, currentColor, red);
+                }`,
+                "button.css": ".button { color: var(--brand); background: var(--mix); box-shadow: 0 0 0 1px var(--overlay); outline-color: var(--p3); border-color: var(--legacy); fill: var(--unknown); }"
             });
 
             const result = await process("button.css", {
-                fallbacks: ["base-vars.css"]
+                fallbacks: ["vars.css"],
+                downlevelColors: true
             });
 
             expect(result).toBe(
-                ".button { transform: var(--transform, rotate(45deg) scale(1.5)); }"
+                ".button { color: var(--brand, #ff0000); background: var(--mix, #800080); " +
+                "box-shadow: 0 0 0 1px var(--overlay, rgba(52, 152, 219, 0.5)); outline-color: var(--p3, #00ff00); " +
+                "border-color: var(--legacy, rgb(52, 152, 219)); fill: var(--unknown, color-mix(in srgb, currentColor, red)); }"
             );
+
+            const rgb = await process("button.css", {
+                fallbacks: ["vars.css"],
+                downlevelColors: "rgb"
+            });
+
+            expect(rgb).toContain("color: var(--brand, rgb(255, 0, 0))");
         });
 
-        test("should handle variables in non-root blocks", async () => {
+        test("should convert rem and px lengths", async () => {
             createTestFiles({
-                "theme.css": `
-          .theme-dark {
-            --bg-color: #222;
-          }
-          .theme-light {
-            --bg-color: #fff;
-          }
-        `,
-                "button.css": ".button { background: var(--bg-color); }"
+                "vars.css": ":root { --font: 1.25rem/1.5 sans-serif; --gap: calc(1rem + 4px); --icon: url(icons/1rem.svg); }",
+                "text.css": ".text { font: var(--font); gap: var(--gap); background: var(--icon); }"
             });
 
-            const result = await process("button.css", {
-                fallbacks: ["theme.css"]
+            const px = await process("text.css", {
+                fallbacks: ["vars.css"],
+                convertUnits: "px",
+                foldCalc: true
             });
 
-            expect(result).toBe(".button { background: var(--bg-color, #fff); }");
+            expect(px).toBe(".text { font: var(--font, 20px/1.5 sans-serif); gap: var(--gap, 20px); background: var(--icon, url(icons/1rem.svg)); }");
+
+            const rem = await process("text.css", {
+                fallbacks: ["vars.css"],
+                convertUnits: "rem",
+                rootFontSize: 10,
+                foldCalc: true
+            });
+
+            expect(rem).toContain("gap: var(--gap, 1.4rem)");
+        });
+
+        test("should reject invalid transform options", () => {
+            expect(() => varFallback({ fallbacks: [], convertUnits: "em" })).toThrow("Unknown convertUnits unit em");
+            expect(() => varFallback({ fallbacks: [], transform: "uppercase" })).toThrow("The transform option must be a function");
         });
     });
 
-    describe("Multiple Files and Precedence", () => {
-        test("should respect file order for variable precedence", async () => {
+    describe("Dependencies", () => {
+        test("should register fallback files as dependencies", async () => {
             createTestFiles({
                 "base.css": ":root { --color: blue; }",
                 "theme.css": ":root { --color: red; }",
                 "button.css": ".button { color: var(--color); }"
             });
 
-            const result = await process("button.css", {
-                fallbacks: ["base.css", "theme.css"]
+            const result = await processResult("button.css", {
+                fallbacks: ["base.css", "theme.css", "base.css"]
             });
 
-            expect(result).toBe(".button { color: var(--color, red); }");
+            const dependencies = result.messages.filter((message) => message.type === "dependency");
+
+            expect(dependencies).toEqual([
+                {
+                    type: "dependency",
+                    plugin: "postcss-var-fallback",
+                    file: path.join(tempDir, "base.css"),
+                    parent: path.join(tempDir, "button.css")
+                },
+                {
+                    type: "dependency",
+                    plugin: "postcss-var-fallback",
+                    file: path.join(tempDir, "theme.css"),
+                    parent: path.join(tempDir, "button.css")
+                }
+            ]);
         });
 
-        test("should handle multiple variable references in one declaration", async () => {
+        test("should register missing fallback files so creating them triggers a rebuild", async () => {
             createTestFiles({
-                "spacing.css": ":root { --gap: 8px; --padding: 16px; }",
-                "component.css": ".box { margin: var(--gap) var(--padding); }"
+                "button.css": ".button { color: var(--color); }"
             });
 
-            const result = await process("component.css", {
-                fallbacks: ["spacing.css"]
+            const result = await processResult("button.css", {
+                fallbacks: ["non-existent.css"]
             });
 
-            expect(result).toBe(".box { margin: var(--gap, 8px) var(--padding, 16px); }");
+            expect(result.messages.filter((message) => message.type === "dependency").map((message) => message.file))
+                .toEqual([path.join(tempDir, "non-existent.css")]);
         });
     });
 
@@ -276,6 +2052,269 @@ describe("postcss-var-fallback", () => {
         });
     });
 
+    describe("Resolution Limits", () => {
+        const tokens = `:root {
+  --space: 4px;
+  --space-lg: calc(var(--space) * 4);
+  --shadow-color: rgb(0 0 0 / 20%);
+  --shadow: 0 var(--space) var(--space-lg) var(--shadow-color);
+  --radius: var(--missing, 2px);
+}`;
+
+        test("should emit nested var() fallbacks", async () => {
+            createTestFiles({
+                "tokens.css": tokens,
+                "card.css": ".card { padding: var(--space-lg); border-radius: var(--radius); }"
+            });
+
+            const result = await process("card.css", { fallbacks: ["tokens.css"], nestedFallbacks: true });
+
+            expect(result).toBe(".card { padding: var(--space-lg, calc(var(--space, 4px) * 4)); border-radius: var(--radius, var(--missing, 2px)); }");
+        });
+
+        test("should stop expanding at maxDepth", async () => {
+            createTestFiles({
+                "tokens.css": tokens,
+                "card.css": ".card { padding: var(--space-lg); box-shadow: var(--shadow); }"
+            });
+
+            expect(await process("card.css", { fallbacks: ["tokens.css"], maxDepth: 1 }))
+                .toBe(".card { padding: var(--space-lg, calc(var(--space) * 4)); box-shadow: var(--shadow, 0 var(--space) var(--space-lg) var(--shadow-color)); }");
+            expect(await process("card.css", { fallbacks: ["tokens.css"], maxDepth: 2, nestedFallbacks: true }))
+                .toBe(".card { padding: var(--space-lg, calc(var(--space, 4px) * 4)); box-shadow: var(--shadow, 0 var(--space, 4px) var(--space-lg, calc(var(--space) * 4)) var(--shadow-color, rgb(0 0 0 / 20%))); }");
+        });
+
+        test("should use the deepest expansion within maxFallbackLength", async () => {
+            createTestFiles({
+                "tokens.css": tokens,
+                "card.css": ".card { padding: var(--space); box-shadow: var(--shadow); }"
+            });
+
+            const flat = await processResult("card.css", { fallbacks: ["tokens.css"], maxFallbackLength: 40 });
+            const nested = await processResult("card.css", { fallbacks: ["tokens.css"], maxFallbackLength: 60, nestedFallbacks: true });
+
+            expect(flat.css).toBe(".card { padding: var(--space, 4px); box-shadow: var(--shadow, 0 4px calc(4px * 4) rgb(0 0 0 / 20%)); }");
+            expect(nested.css).toBe(".card { padding: var(--space, 4px); box-shadow: var(--shadow, 0 var(--space) var(--space-lg) var(--shadow-color)); }");
+            expect([...flat.warnings(), ...nested.warnings()]).toHaveLength(0);
+        });
+
+        test("should skip fallbacks longer than maxFallbackLength even unexpanded", async () => {
+            createTestFiles({
+                "tokens.css": tokens,
+                "card.css": ".card { padding: var(--space); box-shadow: var(--shadow); }"
+            });
+
+            const result = await processResult("card.css", { fallbacks: ["tokens.css"], maxFallbackLength: 20 });
+
+            expect(result.css).toBe(".card { padding: var(--space, 4px); box-shadow: var(--shadow); }");
+            expect(result.warnings().map((warning) => warning.text)).toEqual([
+                "Fallback of --shadow is longer than 20 characters, skipped"
+            ]);
+        });
+
+        test("should reject invalid limits", () => {
+            expect(() => varFallback({ fallbacks: [], maxDepth: 0 })).toThrow("The maxDepth option must be a positive integer");
+            expect(() => varFallback({ fallbacks: [], maxFallbackLength: "40" })).toThrow("The maxFallbackLength option must be a positive integer");
+        });
+    });
+
+    describe("Value Parsing", () => {
+        test("should keep nested functions inside authored fallbacks intact", async () => {
+            createTestFiles({
+                "vars.css": ":root { --color: red; }",
+                "component.css": ".box { box-shadow: var(--shadow, 0 1px rgba(0,0,0,.2)); color: var(--color); }"
+            });
+
+            const result = await process("component.css", {
+                fallbacks: ["vars.css"]
+            });
+
+            expect(result).toBe(".box { box-shadow: var(--shadow, 0 1px rgba(0,0,0,.2)); color: var(--color, red); }");
+        });
+
+        test("should add fallbacks to var() nested inside an unresolved var() fallback", async () => {
+            createTestFiles({
+                "vars.css": ":root { --b: 4px; }",
+                "component.css": ".box { margin: var(--a, var(--b)); }"
+            });
+
+            const result = await process("component.css", {
+                fallbacks: ["vars.css"]
+            });
+
+            expect(result).toBe(".box { margin: var(--a, var(--b, 4px)); }");
+        });
+
+        test("should resolve nested var() fallbacks inside definitions", async () => {
+            createTestFiles({
+                "vars.css": ":root { --gap: var(--a, var(--b, 4px)); --size: calc(var(--x, 2px) * 2); }",
+                "component.css": ".box { margin: var(--gap); width: var(--size); }"
+            });
+
+            const result = await process("component.css", {
+                fallbacks: ["vars.css"]
+            });
+
+            expect(result).toBe(".box { margin: var(--gap, 4px); width: var(--size, calc(2px * 2)); }");
+        });
+
+        test("should add fallbacks to var() inside other functions", async () => {
+            createTestFiles({
+                "vars.css": ":root { --x: 8px; }",
+                "component.css": ".box { width: calc(var(--x) * 2); }"
+            });
+
+            const result = await process("component.css", {
+                fallbacks: ["vars.css"]
+            });
+
+            expect(result).toBe(".box { width: calc(var(--x, 8px) * 2); }");
+        });
+
+        test("should ignore var() inside strings and comments", async () => {
+            createTestFiles({
+                "vars.css": ":root { --x: 8px; --label: \"var(--x)\"; }",
+                "component.css": ".box { content: \"var(--x)\" /* var(--x) */; quotes: var(--label); }"
+            });
+
+            const result = await process("component.css", {
+                fallbacks: ["vars.css"]
+            });
+
+            expect(result).toBe(".box { content: \"var(--x)\" /* var(--x) */; quotes: var(--label, \"var(--x)\"); }");
+        });
+
+        test("should keep escaped characters and unquoted urls intact", async () => {
+            createTestFiles({
+                "vars.css": ":root { --icon: url(data:image/svg+xml;utf8,a\\)b); }",
+                "component.css": ".box { background: var(--icon) no-repeat; }"
+            });
+
+            const result = await process("component.css", {
+                fallbacks: ["vars.css"]
+            });
+
+            expect(result).toBe(".box { background: var(--icon, url(data:image/svg+xml;utf8,a\\)b)) no-repeat; }");
+        });
+    });
+
+    describe("Caching", () => {
+        // Helper to process several files with one plugin instance
+        const processWith = async (plugin, cssFile) => {
+            const css = fs.readFileSync(path.join(tempDir, cssFile), "utf8");
+            const result = await postcss([plugin]).process(css, {
+                from: path.join(tempDir, cssFile)
+            });
+            return result.css;
+        };
+
+        // Helper to change a file and make sure its modification time moves
+        const updateFile = (filename, content, mtime) => {
+            fs.writeFileSync(path.join(tempDir, filename), content);
+            fs.utimesSync(path.join(tempDir, filename), mtime, mtime);
+        };
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test("should parse fallback files once per plugin instance", async () => {
+            createTestFiles({
+                "vars.css": ":root { --color: red; }",
+                "a.css": ".a { color: var(--color); }",
+                "b.css": ".b { color: var(--color); }"
+            });
+
+            const parse = jest.spyOn(postcss, "parse");
+            const plugin = varFallback({ fallbacks: ["vars.css"] });
+
+            expect(await processWith(plugin, "a.css")).toBe(".a { color: var(--color, red); }");
+            expect(await processWith(plugin, "b.css")).toBe(".b { color: var(--color, red); }");
+            expect(parse.mock.calls.filter(([, opts]) => opts && opts.from === path.join(tempDir, "vars.css")))
+                .toHaveLength(1);
+        });
+
+        test("should invalidate the cache when a fallback file changes", async () => {
+            createTestFiles({
+                "vars.css": ":root { --color: red; }",
+                "a.css": ".a { color: var(--color); }"
+            });
+
+            const plugin = varFallback({ fallbacks: ["vars.css"] });
+
+            expect(await processWith(plugin, "a.css")).toBe(".a { color: var(--color, red); }");
+
+            updateFile("vars.css", ":root { --color: blue; }", new Date(Date.now() + 10000));
+
+            expect(await processWith(plugin, "a.css")).toBe(".a { color: var(--color, blue); }");
+        });
+
+        test("should pick up files added to a glob", async () => {
+            createTestFiles({
+                "themes/a.css": ":root { --color: red; }",
+                "a.css": ".a { color: var(--color); }"
+            });
+
+            const plugin = varFallback({ fallbacks: ["themes/*.css"] });
+
+            expect(await processWith(plugin, "a.css")).toBe(".a { color: var(--color, red); }");
+
+            createTestFiles({ "themes/b.css": ":root { --color: blue; }" });
+
+            expect(await processWith(plugin, "a.css")).toBe(".a { color: var(--color, blue); }");
+        });
+
+        test("should keep caches separate between plugin instances", async () => {
+            createTestFiles({
+                "red.css": ":root { --color: red; }",
+                "blue.css": ":root { --color: blue; }",
+                "a.css": ".a { color: var(--color); }"
+            });
+
+            const red = varFallback({ fallbacks: ["red.css"] });
+            const blue = varFallback({ fallbacks: ["blue.css"] });
+
+            const results = await Promise.all([
+                processWith(red, "a.css"),
+                processWith(blue, "a.css"),
+                processWith(red, "a.css")
+            ]);
+
+            expect(results).toEqual([
+                ".a { color: var(--color, red); }",
+                ".a { color: var(--color, blue); }",
+                ".a { color: var(--color, red); }"
+            ]);
+        });
+
+        test("should reuse an on-disk cache when file contents are unchanged", async () => {
+            createTestFiles({
+                "vars.css": ":root { --color: red; }",
+                "a.css": ".a { color: var(--color); }"
+            });
+
+            const cacheLocation = path.join(tempDir, ".cache/var-fallback.json");
+
+            expect(await processWith(varFallback({ fallbacks: ["vars.css"], cacheLocation }), "a.css"))
+                .toBe(".a { color: var(--color, red); }");
+            expect(fs.existsSync(cacheLocation)).toBe(true);
+
+            // A fresh checkout changes modification times but not contents
+            updateFile("vars.css", ":root { --color: red; }", new Date(Date.now() + 10000));
+            const parse = jest.spyOn(postcss, "parse");
+
+            expect(await processWith(varFallback({ fallbacks: ["vars.css"], cacheLocation }), "a.css"))
+                .toBe(".a { color: var(--color, red); }");
+            expect(parse.mock.calls.filter(([, opts]) => opts && opts.from === path.join(tempDir, "vars.css")))
+                .toHaveLength(0);
+
+            updateFile("vars.css", ":root { --color: green; }", new Date(Date.now() + 20000));
+
+            expect(await processWith(varFallback({ fallbacks: ["vars.css"], cacheLocation }), "a.css"))
+                .toBe(".a { color: var(--color, green); }");
+        });
+    });
+
     describe("Performance", () => {
         test("should handle large CSS files efficiently", async () => {
             // Generate a large CSS file with many variables
@@ -0,0 +1,147 @@
+/**
+ * Cache of parsed fallback files, invalidated by modification time and
+ * content hash, and optionally persisted to disk between builds.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { version } = require("../package.json");
+
+// Bumped whenever the shape of cached data changes
+const CACHE_FORMAT = 2;
+
+/**
+ * Hashes file contents
+ * @param {string} content - File contents
+ * @returns {string} Hex digest
+ */
+const hashContent = (content) => crypto.createHash("sha1").update(content).digest("hex");
+
+/**
+ * Creates a file cache
+ *
+ * Each entry keeps the modification time, size and content hash of a file
+ * together with the data parsed from it. A file is only read again when its
+ * modification time or size changed, and only parsed again when its content
+ * hash changed, so a fresh checkout in CI can reuse a cache written earlier.
+ * @param {Object} options - Cache options
+ * @param {string} [options.cacheLocation] - JSON file the parsed data is persisted to
+ * @returns {{read: Function, check: Function, save: Function}} Cache API
+ */
+const createFileCache = ({ cacheLocation } = {}) => {
+    const entries = new Map();
+    let dirty = false;
+    let loading = null;
+
+    const key = `${CACHE_FORMAT}:${version}`;
+
+    const load = () => {
+        if (!loading) {
+            loading = cacheLocation ? fs.readFile(cacheLocation, "utf8").then((json) => {
+                const stored = JSON.parse(json);
+
+                if (stored.key === key) {
+                    Object.entries(stored.entries).forEach(([filePath, entry]) => {
+                        entries.set(filePath, { ...entry, hasData: true, persist: true });
+                    });
+                }
+            }).catch(() => {}) : Promise.resolve();
+        }
+
+        return loading;
+    };
+
+    /**
+     * Returns the entry of a file, read and hashed again if it changed on disk
+     * @param {string} filePath - Absolute path
+     * @returns {Promise<{entry: Object, content: string|undefined}>} Current entry and the contents if read
+     */
+    const refresh = async (filePath) => {
+        await load();
+
+        const stats = await fs.stat(filePath);
+        const entry = entries.get(filePath);
+
+        if (entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) {
+            return { entry };
+        }
+
+        const content = await fs.readFile(filePath, "utf8");
+        const hash = hashContent(content);
+
+        if (entry && entry.hash === hash) {
+            entry.mtimeMs = stats.mtimeMs;
+            entry.size = stats.size;
+            dirty = dirty || entry.persist;
+            return { entry, content };
+        }
+
+        const updated = { mtimeMs: stats.mtimeMs, size: stats.size, hash, hasData: false, persist: false };
+        entries.set(filePath, updated);
+
+        return { entry: updated, content };
+    };
+
+    /**
+     * Returns the parsed data of a file, parsing it only when its content changed
+     * @param {string} filePath - Absolute path
+     * @param {Function} parse - Called with (content, filePath), may return a promise
+     * @param {Object} [options] - Read options
+     * @param {boolean} [options.persist=true] - Whether the parsed data may be written to disk
+     * @returns {Promise<*>} Parsed data
+     */
+    const read = async (filePath, parse, { persist = true } = {}) => {
+        const { entry, content } = await refresh(filePath);
+
+        if (!entry.hasData) {
+            entry.data = await parse(content === undefined ? await fs.readFile(filePath, "utf8") : content, filePath);
+            entry.hasData = true;
+            entry.persist = persist;
+            dirty = dirty || persist;
+        }
+
+        return entry.data;
+    };
+
+    /**
+     * Returns the current content hash of a file
+     * @param {string} filePath - Absolute path
+     * @returns {Promise<string|null>} Hash, or null if the file can't be read
+     */
+    const check = async (filePath) => {
+        try {
+            return (await refresh(filePath)).entry.hash;
+        } catch {
+            return null;
+        }
+    };
+
+    /**
+     * Writes the persistable entries to the cache location, if configured
+     * @returns {Promise<void>}
+     */
+    const save = async () => {
+        if (!cacheLocation || !dirty) {
+            return;
+        }
+
+        const stored = {};
+
+        entries.forEach((entry, filePath) => {
+            if (entry.persist && entry.hasData) {
+                stored[filePath] = { mtimeMs: entry.mtimeMs, size: entry.size, hash: entry.hash, data: entry.data };
+            }
+        });
+
+        dirty = false;
+        await fs.mkdir(path.dirname(cacheLocation), { recursive: true });
+        await fs.writeFile(cacheLocation, JSON.stringify({ key, entries: stored }));
+    };
+
+    return { read, check, save };
+};
+
+module.exports = {
+    createFileCache
+};
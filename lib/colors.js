@@ -0,0 +1,672 @@
+/**
+ * Conversion of modern CSS colors (lab(), lch(), oklab(), oklch(), hwb(),
+ * color(), color-mix() and the space-separated rgb()/hsl() syntax) to hex or
+ * legacy rgb() colors understood by older browsers.
+ *
+ * Colors are parsed into their own color space, converted through CIE XYZ and
+ * clipped to the sRGB gamut. The formulas and matrices follow the sample code
+ * of CSS Color Module Level 4.
+ */
+
+const valueParser = require("./value-parser");
+
+// CSS named colors, as hex
+const NAMED_COLORS = {
+    aliceblue: "f0f8ff", antiquewhite: "faebd7", aqua: "00ffff", aquamarine: "7fffd4", azure: "f0ffff",
+    beige: "f5f5dc", bisque: "ffe4c4", black: "000000", blanchedalmond: "ffebcd", blue: "0000ff",
+    blueviolet: "8a2be2", brown: "a52a2a", burlywood: "deb887", cadetblue: "5f9ea0", chartreuse: "7fff00",
+    chocolate: "d2691e", coral: "ff7f50", cornflowerblue: "6495ed", cornsilk: "fff8dc", crimson: "dc143c",
+    cyan: "00ffff", darkblue: "00008b", darkcyan: "008b8b", darkgoldenrod: "b8860b", darkgray: "a9a9a9",
+    darkgreen: "006400", darkgrey: "a9a9a9", darkkhaki: "bdb76b", darkmagenta: "8b008b", darkolivegreen: "556b2f",
+    darkorange: "ff8c00", darkorchid: "9932cc", darkred: "8b0000", darksalmon: "e9967a", darkseagreen: "8fbc8f",
+    darkslateblue: "483d8b", darkslategray: "2f4f4f", darkslategrey: "2f4f4f", darkturquoise: "00ced1", darkviolet: "9400d3",
+    deeppink: "ff1493", deepskyblue: "00bfff", dimgray: "696969", dimgrey: "696969", dodgerblue: "1e90ff",
+    firebrick: "b22222", floralwhite: "fffaf0", forestgreen: "228b22", fuchsia: "ff00ff", gainsboro: "dcdcdc",
+    ghostwhite: "f8f8ff", gold: "ffd700", goldenrod: "daa520", gray: "808080", green: "008000",
+    greenyellow: "adff2f", grey: "808080", honeydew: "f0fff0", hotpink: "ff69b4", indianred: "cd5c5c",
+    indigo: "4b0082", ivory: "fffff0", khaki: "f0e68c", lavender: "e6e6fa", lavenderblush: "fff0f5",
+    lawngreen: "7cfc00", lemonchiffon: "fffacd", lightblue: "add8e6", lightcoral: "f08080", lightcyan: "e0ffff",
+    lightgoldenrodyellow: "fafad2", lightgray: "d3d3d3", lightgreen: "90ee90", lightgrey: "d3d3d3", lightpink: "ffb6c1",
+    lightsalmon: "ffa07a", lightseagreen: "20b2aa", lightskyblue: "87cefa", lightslategray: "778899", lightslategrey: "778899",
+    lightsteelblue: "b0c4de", lightyellow: "ffffe0", lime: "00ff00", limegreen: "32cd32", linen: "faf0e6",
+    magenta: "ff00ff", maroon: "800000", mediumaquamarine: "66cdaa", mediumblue: "0000cd", mediumorchid: "ba55d3",
+    mediumpurple: "9370db", mediumseagreen: "3cb371", mediumslateblue: "7b68ee", mediumspringgreen: "00fa9a", mediumturquoise: "48d1cc",
+    mediumvioletred: "c71585", midnightblue: "191970", mintcream: "f5fffa", mistyrose: "ffe4e1", moccasin: "ffe4b5",
+    navajowhite: "ffdead", navy: "000080", oldlace: "fdf5e6", olive: "808000", olivedrab: "6b8e23",
+    orange: "ffa500", orangered: "ff4500", orchid: "da70d6", palegoldenrod: "eee8aa", palegreen: "98fb98",
+    paleturquoise: "afeeee", palevioletred: "db7093", papayawhip: "ffefd5", peachpuff: "ffdab9", peru: "cd853f",
+    pink: "ffc0cb", plum: "dda0dd", powderblue: "b0e0e6", purple: "800080", rebeccapurple: "663399",
+    red: "ff0000", rosybrown: "bc8f8f", royalblue: "4169e1", saddlebrown: "8b4513", salmon: "fa8072",
+    sandybrown: "f4a460", seagreen: "2e8b57", seashell: "fff5ee", sienna: "a0522d", silver: "c0c0c0",
+    skyblue: "87ceeb", slateblue: "6a5acd", slategray: "708090", slategrey: "708090", snow: "fffafa",
+    springgreen: "00ff7f", steelblue: "4682b4", tan: "d2b48c", teal: "008080", thistle: "d8bfd8",
+    tomato: "ff6347", turquoise: "40e0d0", violet: "ee82ee", wheat: "f5deb3", white: "ffffff",
+    whitesmoke: "f5f5f5", yellow: "ffff00", yellowgreen: "9acd32"
+};
+
+// Functions that are always converted; rgb() and hsl() only in their space-separated syntax
+const MODERN_FUNCTIONS = ["lab", "lch", "oklab", "oklch", "hwb", "color", "color-mix"];
+const LEGACY_FUNCTIONS = ["rgb", "rgba", "hsl", "hsla"];
+
+const D50 = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+const KAPPA = 24389 / 27;
+const EPSILON = 216 / 24389;
+
+/**
+ * Multiplies a 3x3 matrix by a vector
+ * @param {Array<Array<number>>} matrix - Matrix, by rows
+ * @param {Array<number>} vector - Coordinates
+ * @returns {Array<number>} Transformed coordinates
+ */
+const multiply = (matrix, vector) => matrix.map((row) => row.reduce((sum, value, index) => sum + value * vector[index], 0));
+
+const LINEAR_SRGB_TO_XYZ = [
+    [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+];
+const XYZ_TO_LINEAR_SRGB = [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+const LINEAR_P3_TO_XYZ = [
+    [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+    [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+    [0, 0.04511338185890264, 1.043944368900976]
+];
+const XYZ_TO_LINEAR_P3 = [
+    [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+    [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+    [0.03584583024378447, -0.07617238926804182, 0.9568845240076872]
+];
+const D50_TO_D65 = [
+    [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+    [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+    [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+];
+const D65_TO_D50 = [
+    [1.0479298208405488, 0.022946793341019088, -0.05019222954313557],
+    [0.029627815688159344, 0.990434484573249, -0.01707382502938514],
+    [-0.009243058152591178, 0.015055144896577895, 0.7518742899580008]
+];
+const XYZ_TO_LMS = [
+    [0.8190224379967030, 0.3619062600528904, -0.1288737815209879],
+    [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+    [0.0481771893596242, 0.2642395317527308, 0.6335478284694309]
+];
+const LMS_TO_OKLAB = [
+    [0.2104542683093140, 0.7936177747023054, -0.0040720430116193],
+    [1.9779985324311684, -2.4285922420485799, 0.4505937096174110],
+    [0.0259040424655478, 0.7827717124575296, -0.8086757549230774]
+];
+const OKLAB_TO_LMS = [
+    [1, 0.3963377773761749, 0.2158037573099136],
+    [1, -0.1055613458156586, -0.0638541728258133],
+    [1, -0.0894841775298119, -1.2914855480194092]
+];
+const LMS_TO_XYZ = [
+    [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+    [-0.0405757452148008, 1.1122868032803170, -0.0717110580655164],
+    [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816]
+];
+
+/**
+ * Removes the sRGB transfer function from a channel, also used by display-p3
+ * @param {number} channel - Gamma-encoded channel, 0 to 1
+ * @returns {number} Linear-light channel
+ */
+const toLinear = (channel) => {
+    const abs = Math.abs(channel);
+    return abs <= 0.04045 ? channel / 12.92 : Math.sign(channel) * Math.pow((abs + 0.055) / 1.055, 2.4);
+};
+
+/**
+ * Applies the sRGB transfer function to a channel, the inverse of toLinear
+ * @param {number} channel - Linear-light channel
+ * @returns {number} Gamma-encoded channel, 0 to 1 when in gamut
+ */
+const fromLinear = (channel) => {
+    const abs = Math.abs(channel);
+    return abs > 0.0031308 ? Math.sign(channel) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055) : 12.92 * channel;
+};
+
+/**
+ * Converts CIE Lab to CIE XYZ relative to the D50 white point
+ * @param {Array<number>} lab - Lightness (0 to 100), a and b
+ * @returns {Array<number>} X, Y and Z
+ */
+const labToXyzD50 = ([l, a, b]) => {
+    const f1 = (l + 16) / 116;
+    const f0 = a / 500 + f1;
+    const f2 = f1 - b / 200;
+
+    return [
+        (Math.pow(f0, 3) > EPSILON ? Math.pow(f0, 3) : (116 * f0 - 16) / KAPPA) * D50[0],
+        (l > KAPPA * EPSILON ? Math.pow(f1, 3) : l / KAPPA) * D50[1],
+        (Math.pow(f2, 3) > EPSILON ? Math.pow(f2, 3) : (116 * f2 - 16) / KAPPA) * D50[2]
+    ];
+};
+
+/**
+ * Converts CIE XYZ relative to the D50 white point to CIE Lab
+ * @param {Array<number>} xyz - X, Y and Z
+ * @returns {Array<number>} Lightness (0 to 100), a and b
+ */
+const xyzD50ToLab = (xyz) => {
+    const [f0, f1, f2] = xyz.map((value, index) => {
+        const scaled = value / D50[index];
+        return scaled > EPSILON ? Math.cbrt(scaled) : (KAPPA * scaled + 16) / 116;
+    });
+
+    return [116 * f1 - 16, 500 * (f0 - f1), 200 * (f1 - f2)];
+};
+
+/**
+ * Converts rectangular a/b coordinates to lightness, chroma and hue
+ * @param {Array<number>} lab - Lightness, a and b
+ * @param {number} epsilon - Chroma below which the color is a gray and its hue is missing
+ * @returns {Array<number>} Lightness, chroma and hue in degrees, NaN for grays
+ */
+const toPolar = ([l, a, b], epsilon) => {
+    const chroma = Math.sqrt(a * a + b * b);
+    const hue = chroma < epsilon ? NaN : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+
+    return [l, chroma, hue];
+};
+
+/**
+ * Converts lightness, chroma and hue to rectangular a/b coordinates, the inverse of toPolar
+ * @param {Array<number>} lch - Lightness, chroma and hue in degrees, NaN when missing
+ * @returns {Array<number>} Lightness, a and b
+ */
+const fromPolar = ([l, chroma, hue]) => {
+    const radians = (Number.isNaN(hue) ? 0 : hue) * Math.PI / 180;
+    return [l, chroma * Math.cos(radians), chroma * Math.sin(radians)];
+};
+
+/**
+ * Converts HSL to gamma-encoded sRGB
+ * @param {Array<number>} hsl - Hue in degrees (NaN when missing), saturation and lightness in percent
+ * @returns {Array<number>} Red, green and blue, 0 to 1
+ */
+const hslToSrgb = ([hue, saturation, lightness]) => {
+    const h = Number.isNaN(hue) ? 0 : hue;
+    const s = saturation / 100;
+    const l = lightness / 100;
+
+    return [0, 8, 4].map((offset) => {
+        const k = (offset + h / 30) % 12;
+        return l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    });
+};
+
+/**
+ * Converts gamma-encoded sRGB to HSL
+ * @param {Array<number>} rgb - Red, green and blue, 0 to 1
+ * @returns {Array<number>} Hue in degrees (NaN for grays), saturation and lightness in percent
+ */
+const srgbToHsl = ([r, g, b]) => {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (max + min) / 2;
+    const delta = max - min;
+    let hue = NaN;
+    let saturation = 0;
+
+    if (delta !== 0) {
+        saturation = lightness === 0 || lightness === 1 ? 0 : (max - lightness) / Math.min(lightness, 1 - lightness);
+
+        if (max === r) {
+            hue = (g - b) / delta + (g < b ? 6 : 0);
+        } else if (max === g) {
+            hue = (b - r) / delta + 2;
+        } else {
+            hue = (r - g) / delta + 4;
+        }
+
+        hue *= 60;
+    }
+
+    return [hue, saturation * 100, lightness * 100];
+};
+
+/**
+ * Converts HWB to gamma-encoded sRGB
+ * @param {Array<number>} hwb - Hue in degrees (NaN when missing), whiteness and blackness in percent
+ * @returns {Array<number>} Red, green and blue, 0 to 1
+ */
+const hwbToSrgb = ([hue, whiteness, blackness]) => {
+    const white = whiteness / 100;
+    const black = blackness / 100;
+
+    if (white + black >= 1) {
+        const gray = white / (white + black);
+        return [gray, gray, gray];
+    }
+
+    return hslToSrgb([hue, 100, 50]).map((channel) => channel * (1 - white - black) + white);
+};
+
+/**
+ * Converts gamma-encoded sRGB to HWB
+ * @param {Array<number>} rgb - Red, green and blue, 0 to 1
+ * @returns {Array<number>} Hue in degrees (NaN for grays), whiteness and blackness in percent
+ */
+const srgbToHwb = (rgb) => {
+    const [hue] = srgbToHsl(rgb);
+    return [hue, Math.min(...rgb) * 100, (1 - Math.max(...rgb)) * 100];
+};
+
+/**
+ * Color spaces with their conversions from and to CIE XYZ (D65)
+ *
+ * `hue` is the index of the hue coordinate of polar spaces.
+ */
+const SPACES = {
+    "srgb": {
+        toXyz: (coords) => multiply(LINEAR_SRGB_TO_XYZ, coords.map(toLinear)),
+        fromXyz: (xyz) => multiply(XYZ_TO_LINEAR_SRGB, xyz).map(fromLinear)
+    },
+    "srgb-linear": {
+        toXyz: (coords) => multiply(LINEAR_SRGB_TO_XYZ, coords),
+        fromXyz: (xyz) => multiply(XYZ_TO_LINEAR_SRGB, xyz)
+    },
+    "display-p3": {
+        toXyz: (coords) => multiply(LINEAR_P3_TO_XYZ, coords.map(toLinear)),
+        fromXyz: (xyz) => multiply(XYZ_TO_LINEAR_P3, xyz).map(fromLinear)
+    },
+    "xyz-d65": {
+        toXyz: (coords) => coords,
+        fromXyz: (xyz) => xyz
+    },
+    "xyz-d50": {
+        toXyz: (coords) => multiply(D50_TO_D65, coords),
+        fromXyz: (xyz) => multiply(D65_TO_D50, xyz)
+    },
+    "lab": {
+        toXyz: (coords) => multiply(D50_TO_D65, labToXyzD50(coords)),
+        fromXyz: (xyz) => xyzD50ToLab(multiply(D65_TO_D50, xyz))
+    },
+    "lch": {
+        hue: 2,
+        toXyz: (coords) => SPACES.lab.toXyz(fromPolar(coords)),
+        fromXyz: (xyz) => toPolar(SPACES.lab.fromXyz(xyz), 0.0015)
+    },
+    "oklab": {
+        toXyz: (coords) => multiply(LMS_TO_XYZ, multiply(OKLAB_TO_LMS, coords).map((value) => value * value * value)),
+        fromXyz: (xyz) => multiply(LMS_TO_OKLAB, multiply(XYZ_TO_LMS, xyz).map(Math.cbrt))
+    },
+    "oklch": {
+        hue: 2,
+        toXyz: (coords) => SPACES.oklab.toXyz(fromPolar(coords)),
+        fromXyz: (xyz) => toPolar(SPACES.oklab.fromXyz(xyz), 0.000004)
+    },
+    "hsl": {
+        hue: 0,
+        toXyz: (coords) => SPACES.srgb.toXyz(hslToSrgb(coords)),
+        fromXyz: (xyz) => srgbToHsl(SPACES.srgb.fromXyz(xyz))
+    },
+    "hwb": {
+        hue: 0,
+        toXyz: (coords) => SPACES.srgb.toXyz(hwbToSrgb(coords)),
+        fromXyz: (xyz) => srgbToHwb(SPACES.srgb.fromXyz(xyz))
+    }
+};
+
+SPACES.xyz = SPACES["xyz-d65"];
+
+/**
+ * Converts a color to another color space
+ * @param {{space: string, coords: Array<number>, alpha: number}} color - Parsed color
+ * @param {string} space - Target color space
+ * @returns {Array<number>} Coordinates in the target space
+ */
+const convert = (color, space) => {
+    if (color.space === space) {
+        return color.coords;
+    }
+
+    const coords = color.coords.map((value, index) => (
+        Number.isNaN(value) && index !== SPACES[color.space].hue ? 0 : value
+    ));
+
+    return SPACES[space].fromXyz(SPACES[color.space].toXyz(coords));
+};
+
+/**
+ * Splits the arguments of a color function into components
+ * @param {Array<Object>} nodes - Function arguments
+ * @returns {{components: Array<string>, alpha: string|undefined}|null} Components, or null for unsupported syntax
+ */
+const splitComponents = (nodes) => {
+    const components = [];
+    let alpha;
+    let slash = false;
+
+    for (const node of nodes) {
+        if (node.type === "space" || node.type === "comment" || node.type === "comma") {
+            continue;
+        }
+
+        if (node.type !== "word") {
+            return null;
+        }
+
+        node.value.split(/(\/)/).filter(Boolean).forEach((part) => {
+            if (part === "/") {
+                slash = true;
+            } else if (slash) {
+                alpha = part;
+            } else {
+                components.push(part);
+            }
+        });
+    }
+
+    return { components, alpha };
+};
+
+/**
+ * Parses a number, percentage or angle component
+ * @param {string} text - Component
+ * @param {number} percentScale - Value of 100%
+ * @returns {number} Value, NaN for `none`, undefined when invalid
+ */
+const parseComponent = (text, percentScale = 1) => {
+    if (text.toLowerCase() === "none") {
+        return NaN;
+    }
+
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/i.exec(text);
+
+    if (!match) {
+        return undefined;
+    }
+
+    const value = parseFloat(match[1]);
+
+    switch ((match[2] || "").toLowerCase()) {
+        case "%":
+            return value / 100 * percentScale;
+        case "grad":
+            return value * 0.9;
+        case "rad":
+            return value * 180 / Math.PI;
+        case "turn":
+            return value * 360;
+        default:
+            return value;
+    }
+};
+
+/**
+ * Parses the alpha component of a color, clamped to 0 to 1
+ * @param {string|undefined} text - Component, undefined when omitted
+ * @returns {number|undefined} Alpha, 1 when omitted and 0 for `none`, undefined when invalid
+ */
+const parseAlpha = (text) => {
+    if (text === undefined) {
+        return 1;
+    }
+
+    const alpha = parseComponent(text, 1);
+    return alpha === undefined ? undefined : Math.min(1, Math.max(0, Number.isNaN(alpha) ? 0 : alpha));
+};
+
+// Value of 100% for each component of the color functions
+const PERCENT_SCALES = {
+    rgb: [255, 255, 255],
+    hsl: [1, 100, 100],
+    hwb: [1, 100, 100],
+    lab: [100, 125, 125],
+    lch: [100, 150, 1],
+    oklab: [1, 0.4, 0.4],
+    oklch: [1, 0.4, 1]
+};
+
+/**
+ * Parses a color function other than color-mix()
+ * @param {string} name - Lowercase function name
+ * @param {Array<Object>} nodes - Function arguments
+ * @returns {Object|null} Parsed color
+ */
+const parseColorFunction = (name, nodes) => {
+    const split = splitComponents(nodes);
+
+    if (!split) {
+        return null;
+    }
+
+    let { components } = split;
+    let space = name.replace(/a$/, "");
+    let scales = PERCENT_SCALES[space];
+
+    if (name === "color") {
+        space = (components.shift() || "").toLowerCase();
+        scales = [1, 1, 1];
+
+        if (!SPACES[space] || SPACES[space].hue !== undefined || space === "lab" || space === "oklab") {
+            return null;
+        }
+    }
+
+    const alpha = parseAlpha(split.alpha !== undefined ? split.alpha : name !== "color" ? components[3] : undefined);
+    const coords = components.slice(0, 3).map((component, index) => parseComponent(component, scales[index]));
+
+    if (components.length < 3 || components.length > (split.alpha === undefined && name !== "color" ? 4 : 3) ||
+        alpha === undefined || coords.includes(undefined)) {
+        return null;
+    }
+
+    if (space === "rgb") {
+        return { space: "srgb", coords: coords.map((value) => value / 255), alpha };
+    }
+
+    return { space, coords, alpha };
+};
+
+/**
+ * Parses a color-mix() function
+ * @param {Array<Object>} nodes - Function arguments
+ * @returns {Object|null} Mixed color
+ */
+const parseColorMix = (nodes) => {
+    const args = [[]];
+
+    nodes.forEach((node) => {
+        if (node.type === "comma") {
+            args.push([]);
+        } else if (node.type !== "space" && node.type !== "comment") {
+            args[args.length - 1].push(node);
+        }
+    });
+
+    const method = args[0].map(valueParser.stringify).map((part) => part.toLowerCase());
+
+    if (args.length !== 3 || method[0] !== "in" || !SPACES[method[1]]) {
+        return null;
+    }
+
+    const space = method[1];
+    const hueMethod = method.length === 4 && method[3] === "hue" ? method[2] : "shorter";
+
+    if ((method.length !== 2 && method.length !== 4) || (method.length === 4 && SPACES[space].hue === undefined)) {
+        return null;
+    }
+
+    const items = args.slice(1).map((arg) => {
+        const colorNode = arg.find((node) => node.type === "function" || !/%$/.test(node.value));
+        const percentageNode = arg.find((node) => node !== colorNode);
+
+        return {
+            color: colorNode && arg.length <= 2 ? parseNode(colorNode) : null,
+            percentage: percentageNode && /%$/.test(percentageNode.value) ? parseComponent(percentageNode.value, 100) : undefined,
+            invalid: Boolean(percentageNode) && !/^[+-]?[\d.]+%$/.test(percentageNode.value)
+        };
+    });
+
+    if (items.some(({ color, invalid }) => !color || invalid)) {
+        return null;
+    }
+
+    let [p1, p2] = items.map(({ percentage }) => percentage);
+
+    if (p1 === undefined && p2 === undefined) {
+        p1 = p2 = 50;
+    } else if (p1 === undefined) {
+        p1 = 100 - p2;
+    } else if (p2 === undefined) {
+        p2 = 100 - p1;
+    }
+
+    const sum = p1 + p2;
+
+    if (p1 < 0 || p2 < 0 || p1 > 100 || p2 > 100 || sum === 0) {
+        return null;
+    }
+
+    const weight = p2 / sum;
+    const [first, second] = items.map(({ color }) => ({ coords: convert(color, space), alpha: color.alpha }));
+    const hueIndex = SPACES[space].hue;
+
+    // A missing component takes the value of the other color
+    [0, 1, 2].forEach((index) => {
+        if (Number.isNaN(first.coords[index])) {
+            first.coords[index] = second.coords[index];
+        } else if (Number.isNaN(second.coords[index])) {
+            second.coords[index] = first.coords[index];
+        }
+    });
+
+    if (hueIndex !== undefined) {
+        const h1 = first.coords[hueIndex];
+        let h2 = second.coords[hueIndex];
+        const delta = h2 - h1;
+
+        if (hueMethod === "shorter" && Math.abs(delta) > 180) {
+            h2 += delta > 0 ? -360 : 360;
+        } else if (hueMethod === "longer" && Math.abs(delta) < 180 && delta !== 0) {
+            h2 += delta > 0 ? -360 : 360;
+        } else if (hueMethod === "increasing" && h2 < h1) {
+            h2 += 360;
+        } else if (hueMethod === "decreasing" && h2 > h1) {
+            h2 -= 360;
+        }
+
+        second.coords[hueIndex] = h2;
+    }
+
+    const alpha = first.alpha * (1 - weight) + second.alpha * weight;
+
+    // Interpolated with premultiplied alpha, except for the hue
+    const coords = [0, 1, 2].map((index) => {
+        if (index === hueIndex) {
+            const hue = first.coords[index] * (1 - weight) + second.coords[index] * weight;
+            return Number.isNaN(hue) ? NaN : ((hue % 360) + 360) % 360;
+        }
+
+        const mixed = first.coords[index] * first.alpha * (1 - weight) + second.coords[index] * second.alpha * weight;
+        return alpha === 0 ? mixed : mixed / alpha;
+    });
+
+    return { space, coords, alpha: alpha * Math.min(1, sum / 100) };
+};
+
+/**
+ * Parses a color value node
+ * @param {Object} node - Value node
+ * @returns {Object|null} Parsed color, or null when it isn't a color this module understands
+ */
+const parseNode = (node) => {
+    if (node.type === "word") {
+        const word = node.value.toLowerCase();
+        const hex = word.startsWith("#") ? word.slice(1) : NAMED_COLORS[word];
+
+        if (word === "transparent") {
+            return { space: "srgb", coords: [0, 0, 0], alpha: 0 };
+        }
+
+        if (!hex || !/^(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex)) {
+            return null;
+        }
+
+        const digits = hex.length <= 4 ? hex.split("").map((digit) => digit + digit) : hex.match(/../g);
+        const [r, g, b, a = 255] = digits.map((pair) => parseInt(pair, 16));
+
+        return { space: "srgb", coords: [r / 255, g / 255, b / 255], alpha: a / 255 };
+    }
+
+    if (node.type !== "function" || node.unclosed) {
+        return null;
+    }
+
+    const name = node.name.toLowerCase();
+
+    if (name === "color-mix") {
+        return parseColorMix(node.nodes);
+    }
+
+    if (MODERN_FUNCTIONS.includes(name) || LEGACY_FUNCTIONS.includes(name)) {
+        return parseColorFunction(name, node.nodes);
+    }
+
+    return null;
+};
+
+/**
+ * Formats a color as sRGB, clipped to the sRGB gamut
+ * @param {Object} color - Parsed color
+ * @param {"hex"|"rgb"} format - Output format for opaque colors
+ * @returns {string} Hex color, or rgb()/rgba() with comma-separated channels
+ */
+const formatColor = (color, format) => {
+    const [r, g, b] = convert(color, "srgb").map((channel) => (
+        Math.round(Math.min(1, Math.max(0, Number.isNaN(channel) ? 0 : channel)) * 255)
+    ));
+    const alpha = Math.round(color.alpha * 1000) / 1000;
+
+    if (alpha < 1) {
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+
+    if (format === "rgb") {
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
+    return `#${[r, g, b].map((channel) => channel.toString(16).padStart(2, "0")).join("")}`;
+};
+
+/**
+ * Converts a color function node to a color older browsers understand
+ * @param {Object} node - Function node
+ * @param {"hex"|"rgb"} format - Output format for opaque colors
+ * @returns {string|null} Converted color, or null when the function isn't a modern color
+ */
+const downlevelColor = (node, format) => {
+    const name = node.name.toLowerCase();
+    const isModern = MODERN_FUNCTIONS.includes(name) ||
+        (LEGACY_FUNCTIONS.includes(name) && !node.nodes.some((child) => child.type === "comma"));
+
+    if (!isModern) {
+        return null;
+    }
+
+    const color = parseNode(node);
+    return color ? formatColor(color, format) : null;
+};
+
+/**
+ * Checks whether a value is a single color that can be computed statically
+ * @param {string} value - CSS value
+ * @returns {boolean} True for hex, named and color function values, false for `currentColor` and others
+ */
+const isColor = (value) => {
+    const nodes = valueParser.parse(value.trim());
+    return nodes.length === 1 && parseNode(nodes[0]) !== null;
+};
+
+module.exports = {
+    downlevelColor,
+    isColor
+};
@@ -0,0 +1,229 @@
+/**
+ * Matching of variable definitions against the selector and at-rule context
+ * of the declaration a fallback is inserted in, so `.theme-dark .card` or a
+ * `@media (prefers-color-scheme: dark)` block get the fallbacks of their theme.
+ */
+
+const { TRANSPARENT_AT_RULES, normalizeSelector, isDefaultScope, compareCascade, cascadeKey } = require("./definitions");
+
+// Matching strategies accepted by the `contextMatching` option
+const CONTEXT_STRATEGIES = ["ancestor", "exact"];
+
+/**
+ * Normalizes at-rule params for comparison
+ * @param {{name: string, params: string}} atRule - At-rule context
+ * @returns {string} Key such as "@media (prefers-color-scheme:dark)"
+ */
+const atRuleKey = ({ name, params }) => `@${name.toLowerCase()} ${params.trim().toLowerCase().replace(/\s+/g, " ").replace(/\s*([:,()])\s*/g, "$1")}`;
+
+/**
+ * Splits a selector into compound selectors, dropping the combinators
+ * @param {string} selector - Complex selector
+ * @returns {Array<string>} Compound selectors, outermost first
+ */
+const splitCompounds = (selector) => {
+    const compounds = [""];
+    let depth = 0;
+
+    for (const char of selector.trim()) {
+        if (char === "(" || char === "[") {
+            depth++;
+        } else if (char === ")" || char === "]") {
+            depth--;
+        }
+
+        if (depth === 0 && /[\s>+~]/.test(char)) {
+            if (compounds[compounds.length - 1]) {
+                compounds.push("");
+            }
+        } else {
+            compounds[compounds.length - 1] += char;
+        }
+    }
+
+    return compounds.filter(Boolean);
+};
+
+/**
+ * Splits a compound selector into simple selectors
+ * @param {string} compound - Compound selector, e.g. `button.primary:hover`
+ * @returns {Array<string>} Simple selectors
+ */
+const splitSimple = (compound) => compound.match(/(?:[.#]|::?)?(?:[\w-]|\\.)+(?:\((?:[^()]|\([^()]*\))*\))?|\[[^\]]*\]|\*/g) || [];
+
+/**
+ * Checks whether a compound selector of a definition applies to an element
+ * matched by a compound selector of a declaration
+ * @param {Array<string>} required - Simple selectors of the definition's compound
+ * @param {string} compound - Compound selector of the declaration
+ * @returns {boolean} True if every required simple selector is part of the compound
+ */
+const compoundMatches = (required, compound) => {
+    const parts = splitSimple(compound);
+    return required.every((part) => parts.includes(part));
+};
+
+/**
+ * Checks whether a definition selector applies to an element matched by a
+ * declaration selector, on the element itself or on one of its ancestors
+ * @param {string} definitionSelector - Selector of the definition
+ * @param {string} declarationSelector - Selector of the declaration
+ * @param {Set<string>} rootSelectors - Selectors of the document root (the default scope)
+ * @returns {number} Number of matched simple selectors plus one, or 0 when it doesn't apply
+ */
+const selectorMatches = (definitionSelector, declarationSelector, rootSelectors) => {
+    // The document root is an ancestor of every element
+    const required = splitCompounds(definitionSelector)
+        .map((compound) => splitSimple(compound).filter((part) => !rootSelectors.has(part)))
+        .filter((parts) => parts.length > 0);
+    const compounds = splitCompounds(declarationSelector);
+    let position = compounds.length - 1;
+
+    // Matched right to left, the last required compound may be the element itself
+    for (let i = required.length - 1; i >= 0; i--) {
+        while (position >= 0 && !compoundMatches(required[i], compounds[position])) {
+            position--;
+        }
+
+        if (position < 0) {
+            return 0;
+        }
+
+        position--;
+    }
+
+    return 1 + required.reduce((count, parts) => count + parts.length, 0);
+};
+
+/**
+ * Describes the context of a declaration
+ * @param {postcss.Declaration} decl - Declaration
+ * @returns {{selectors: Array<string>, atRules: Array<Object>, key: string}} Selectors of the enclosing rule and conditional at-rules
+ */
+const getDeclarationContext = (decl) => {
+    const atRules = [];
+    let selectors = [];
+
+    for (let parent = decl.parent; parent && parent.type !== "root"; parent = parent.parent) {
+        if (parent.type === "rule" && selectors.length === 0) {
+            selectors = parent.selectors.map(normalizeSelector);
+        } else if (parent.type === "atrule" && !TRANSPARENT_AT_RULES.has(parent.name.toLowerCase())) {
+            atRules.unshift({ name: parent.name.toLowerCase(), params: parent.params });
+        }
+    }
+
+    return { selectors, atRules, key: [...atRules.map(atRuleKey), ...selectors].join(" ") };
+};
+
+/**
+ * Scores how well a definition matches a declaration context
+ * @param {Object} definition - Variable definition outside the default scope
+ * @param {Object} context - Declaration context
+ * @param {string} strategy - "ancestor" or "exact"
+ * @param {Set<string>} rootSelectors - Selectors of the document root
+ * @returns {number} Score, 0 when the definition doesn't apply
+ */
+const scoreDefinition = (definition, context, strategy, rootSelectors) => {
+    const required = definition.atRules.filter((atRule) => !TRANSPARENT_AT_RULES.has(atRule.name)).map(atRuleKey);
+    const available = context.atRules.map(atRuleKey);
+
+    if (!required.every((key) => available.includes(key))) {
+        return 0;
+    }
+
+    if (strategy === "exact" && required.length !== available.length) {
+        return 0;
+    }
+
+    const selectors = definition.selectors.filter((selector) => !rootSelectors.has(selector));
+
+    // Definitions on the document root (or without a selector) only depend on their at-rules
+    if (selectors.length === 0 || selectors.length < definition.selectors.length) {
+        return required.length * 100;
+    }
+
+    if (strategy === "exact") {
+        return context.selectors.length > 0 && context.selectors.every((selector) => selectors.includes(selector)) ? 1 : 0;
+    }
+
+    if (context.selectors.length === 0) {
+        return 0;
+    }
+
+    // Every selector of the declaration must match, otherwise some elements would get the wrong fallback
+    const scores = context.selectors.map((declarationSelector) => Math.max(
+        ...selectors.map((selector) => selectorMatches(selector, declarationSelector, rootSelectors))
+    ));
+
+    return scores.includes(0) ? 0 : required.length * 100 + Math.min(...scores);
+};
+
+/**
+ * Selects the definitions matching a declaration context
+ *
+ * Only definitions outside the default scope take part. The best scoring
+ * definition of each variable wins. On a tie, definitions of the same scope
+ * compete in the cascade (a later one wins unless importance, layers or
+ * specificity say otherwise); a tie between different values in different
+ * scopes is reported as ambiguous.
+ * @param {Array<Object>} definitions - Definitions in precedence order (lowest first)
+ * @param {Object} context - Declaration context returned by getDeclarationContext
+ * @param {Object} options - Matching options
+ * @param {string|Function} options.strategy - "ancestor", "exact" or a function (definition, context) => boolean|number
+ * @param {Set<string>|null} options.defaultScope - Normalized default scope
+ * @param {Map<string, number>} options.layerOrder - Cascade layer order
+ * @returns {{matches: Map<string, Object>, ambiguities: Map<string, Array<Object>>}} Matched definition and tied candidates per variable
+ */
+const matchDefinitions = (definitions, context, { strategy, defaultScope, layerOrder }) => {
+    const rootSelectors = defaultScope || new Set();
+    const best = new Map();
+
+    definitions.forEach((definition) => {
+        if (defaultScope && isDefaultScope(definition, defaultScope)) {
+            return;
+        }
+
+        const score = typeof strategy === "function"
+            ? Number(strategy(definition, context))
+            : scoreDefinition(definition, context, strategy, rootSelectors);
+
+        if (!score) {
+            return;
+        }
+
+        const current = best.get(definition.name);
+
+        if (!current || score > current.score) {
+            best.set(definition.name, { score, candidates: [definition] });
+        } else if (score === current.score) {
+            const key = cascadeKey(definition);
+            const rival = current.candidates.find((candidate) => cascadeKey(candidate) === key);
+
+            if (rival && compareCascade(definition, rival, layerOrder) < 0) {
+                return;
+            }
+
+            current.candidates = current.candidates.filter((candidate) => candidate !== rival);
+            current.candidates.push(definition);
+        }
+    });
+
+    const matches = new Map();
+    const ambiguities = new Map();
+
+    best.forEach(({ candidates }, name) => {
+        matches.set(name, candidates[candidates.length - 1]);
+
+        if (new Set(candidates.map((candidate) => candidate.value)).size > 1) {
+            ambiguities.set(name, candidates);
+        }
+    });
+
+    return { matches, ambiguities };
+};
+
+module.exports = {
+    CONTEXT_STRATEGIES,
+    getDeclarationContext,
+    matchDefinitions
+};
@@ -0,0 +1,108 @@
+/**
+ * Token coverage across every file processed by a plugin instance: which
+ * fallback variables are used directly, which only through other variables
+ * and which are never used.
+ */
+
+const { collectVarNames } = require("./value-parser");
+const { relativePath, createDebouncedWriter } = require("./report");
+
+/**
+ * Builds the coverage of the fallback variables
+ * @param {Map<string, Object>} tokens - Selected definition of every fallback variable
+ * @param {Map<string, Map<string, number>>} files - Direct usages per variable, by processed file
+ * @returns {{totals: Object, unused: Array<Object>, nestedOnly: Array<Object>, files: Object}} Coverage
+ */
+const buildCoverage = (tokens, files) => {
+    const used = new Set();
+    const nested = new Set();
+
+    files.forEach((counts) => counts.forEach((_, name) => used.add(name)));
+
+    // Variables reached from a used one through the definitions, e.g. the --blue-500 of --brand: var(--blue-500)
+    const visit = (name) => {
+        const definition = tokens.get(name);
+
+        if (!definition) {
+            return;
+        }
+
+        collectVarNames(definition.value).forEach((reference) => {
+            if (!used.has(reference) && !nested.has(reference)) {
+                nested.add(reference);
+                visit(reference);
+            }
+        });
+    };
+
+    used.forEach(visit);
+
+    const names = Array.from(tokens.keys()).sort();
+    const describe = (name) => {
+        const { source } = tokens.get(name);
+        return { variable: name, file: relativePath(source.file), line: source.line || null };
+    };
+    const unused = names.filter((name) => !used.has(name) && !nested.has(name)).map(describe);
+    const nestedOnly = names.filter((name) => !used.has(name) && nested.has(name)).map(describe);
+
+    return {
+        totals: {
+            tokens: names.length,
+            used: names.length - unused.length - nestedOnly.length,
+            nestedOnly: nestedOnly.length,
+            unused: unused.length
+        },
+        unused,
+        nestedOnly,
+        files: Object.fromEntries(Array.from(files.keys()).sort().map((file) => [
+            file,
+            Object.fromEntries(Array.from(files.get(file)).sort(([a], [b]) => a.localeCompare(b)))
+        ]))
+    };
+};
+
+/**
+ * Formats the warning summarizing the coverage
+ * @param {Object} coverage - Result of buildCoverage
+ * @param {string} coverageFile - Path of the JSON coverage
+ * @returns {string} Summary
+ */
+const formatCoverageSummary = ({ totals }, coverageFile) => (
+    `Token coverage: ${totals.used} of ${totals.tokens} variables used, ` +
+    `${totals.nestedOnly} only through other variables, ${totals.unused} unused (see ${coverageFile})`
+);
+
+/**
+ * Creates the coverage collector of a plugin instance
+ *
+ * Usages are kept per processed file, so processing a file again in watch
+ * mode replaces its previous counts. The JSON is written like the fallback
+ * report, shortly after the last processed file.
+ * @param {string} coverageFile - Path of the JSON coverage
+ * @returns {{update: Function, summarize: Function, write: Function, takeError: Function}} Coverage collector
+ */
+const createCoverageCollector = (coverageFile) => {
+    const tokens = new Map();
+    const files = new Map();
+    const writer = createDebouncedWriter(coverageFile, () => buildCoverage(tokens, files));
+
+    /**
+     * Records the variable usages of a processed file and schedules a write
+     * @param {string|undefined} file - Absolute path of the processed file
+     * @param {Map<string, number>} counts - Direct usages per variable
+     * @param {Map<string, Object>} selected - Fallback variables the file was processed with
+     */
+    const update = (file, counts, selected) => {
+        selected.forEach((definition, name) => tokens.set(name, definition));
+        files.set(relativePath(file) || "(unknown)", counts);
+        writer.schedule();
+    };
+
+    return { update, summarize: () => buildCoverage(tokens, files), write: writer.write, takeError: writer.takeError };
+};
+
+module.exports = {
+    buildCoverage,
+    formatCoverageSummary,
+    createCoverageCollector
+};
@@ -0,0 +1,236 @@
+/**
+ * Detection of circular references between variables.
+ */
+
+const { collectVarNames } = require("./value-parser");
+const { formatLocation } = require("./provenance");
+
+// Cycles listed per strongly connected component before the search stops
+const MAX_CYCLES_PER_COMPONENT = 10;
+
+/**
+ * Lists the variables a variable references, in order of appearance
+ * @param {Map<string, string>} variableMap - Value of every variable
+ * @param {string} name - Variable name
+ * @returns {Array<string>} Referenced variables that are defined
+ */
+const getReferences = (variableMap, name) => Array.from(new Set(collectVarNames(variableMap.get(name))))
+    .filter((reference) => variableMap.has(reference));
+
+/**
+ * Finds the strongly connected components of the reference graph that
+ * contain a cycle (Tarjan's algorithm)
+ * @param {Map<string, string>} variableMap - Value of every variable
+ * @returns {Array<Set<string>>} Components of two or more variables, or of a variable referencing itself
+ */
+const findComponents = (variableMap) => {
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+
+    const connect = (name) => {
+        indexes.set(name, indexes.size);
+        lowLinks.set(name, indexes.get(name));
+        stack.push(name);
+        onStack.add(name);
+
+        getReferences(variableMap, name).forEach((reference) => {
+            if (!indexes.has(reference)) {
+                connect(reference);
+                lowLinks.set(name, Math.min(lowLinks.get(name), lowLinks.get(reference)));
+            } else if (onStack.has(reference)) {
+                lowLinks.set(name, Math.min(lowLinks.get(name), indexes.get(reference)));
+            }
+        });
+
+        if (lowLinks.get(name) !== indexes.get(name)) {
+            return;
+        }
+
+        const component = new Set();
+        let member;
+
+        do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.add(member);
+        } while (member !== name);
+
+        if (component.size > 1 || getReferences(variableMap, name).includes(name)) {
+            components.push(component);
+        }
+    };
+
+    variableMap.forEach((_, name) => {
+        if (!indexes.has(name)) {
+            connect(name);
+        }
+    });
+
+    return components;
+};
+
+/**
+ * Finds the elementary cycles of the reference graph (Johnson's algorithm)
+ *
+ * Each cycle is listed once, starting at its earliest defined variable and
+ * ending with it again, e.g. `["--a", "--b", "--a"]`. Cycles are searched
+ * within the strongly connected components only, which are exactly the
+ * variables that are part of a cycle. Densely connected variables form a
+ * number of cycles that grows factorially, so the search stops after
+ * MAX_CYCLES_PER_COMPONENT cycles and marks the component as truncated.
+ * @param {Map<string, string>} variableMap - Value of every variable
+ * @returns {Array<{members: Array<string>, cycles: Array<Array<string>>, truncated: boolean}>} Components
+ *   with their members and cycles, by their first variable in definition order
+ */
+const findCycles = (variableMap) => {
+    const order = Array.from(variableMap.keys());
+
+    return findComponents(variableMap).map((component) => {
+        const members = order.filter((name) => component.has(name));
+        const remaining = new Set(members);
+        const cycles = [];
+
+        // Cycles through each variable, among the variables defined after it
+        for (const start of members) {
+            const blocked = new Set();
+            const blockedBy = new Map();
+            const path = [];
+
+            const unblock = (name) => {
+                blocked.delete(name);
+                (blockedBy.get(name) || new Set()).forEach((other) => {
+                    if (blocked.has(other)) {
+                        unblock(other);
+                    }
+                });
+                blockedBy.delete(name);
+            };
+
+            const circuit = (name) => {
+                const references = getReferences(variableMap, name).filter((reference) => remaining.has(reference));
+                let closed = false;
+
+                path.push(name);
+                blocked.add(name);
+
+                for (const reference of references) {
+                    if (cycles.length > MAX_CYCLES_PER_COMPONENT) {
+                        break;
+                    }
+
+                    if (reference === start) {
+                        cycles.push([...path, start]);
+                        closed = true;
+                    } else if (!blocked.has(reference) && circuit(reference)) {
+                        closed = true;
+                    }
+                }
+
+                if (closed) {
+                    unblock(name);
+                } else {
+                    references.forEach((reference) => {
+                        blockedBy.set(reference, (blockedBy.get(reference) || new Set()).add(name));
+                    });
+                }
+
+                path.pop();
+                return closed;
+            };
+
+            circuit(start);
+            remaining.delete(start);
+
+            // One cycle past the limit tells that the component was truncated
+            if (cycles.length > MAX_CYCLES_PER_COMPONENT) {
+                return { members, cycles: cycles.slice(0, MAX_CYCLES_PER_COMPONENT), truncated: true };
+            }
+        }
+
+        return { members, cycles, truncated: false };
+    });
+};
+
+/**
+ * Finds the variables that are not part of a cycle but reference one,
+ * directly or through other variables, and so cannot be resolved either
+ * @param {Map<string, string>} variableMap - Value of every variable
+ * @param {Array<Object>} components - Result of findCycles
+ * @returns {Map<string, Array<number>>} Indexes of the components each dependent variable reaches
+ */
+const findDependents = (variableMap, components) => {
+    const reached = new Map();
+
+    components.forEach(({ members }, index) => members.forEach((name) => {
+        reached.set(name, new Set([index]));
+    }));
+
+    const members = new Set(reached.keys());
+
+    // Every path back to a visited variable goes through a component member, so memoizing suffices
+    const visit = (name) => {
+        if (!reached.has(name)) {
+            const indexes = new Set();
+
+            reached.set(name, indexes);
+
+            if (variableMap.has(name)) {
+                collectVarNames(variableMap.get(name)).forEach((reference) => {
+                    visit(reference).forEach((index) => indexes.add(index));
+                });
+            }
+        }
+
+        return reached.get(name);
+    };
+
+    const dependents = new Map();
+
+    variableMap.forEach((_, name) => {
+        const indexes = visit(name);
+
+        if (!members.has(name) && indexes.size > 0) {
+            dependents.set(name, Array.from(indexes).sort((a, b) => a - b));
+        }
+    });
+
+    return dependents;
+};
+
+/**
+ * Formats the diagnostic of a cycle, e.g.
+ * `Circular reference --a → --b → --a (--a at tokens.css:2, --b at tokens.css:3), --c depends on it and gets no fallback`
+ * @param {{path: Array<string>, definitions: Array<Object>, dependents: Array<string>}} cycle - Cycle
+ * @returns {string} Diagnostic
+ */
+const formatCycle = ({ path, definitions, dependents }) => {
+    const locations = definitions.map((definition) => `${definition.variable} at ${formatLocation(definition)}`).join(", ");
+    let text = `Circular reference ${path.join(" → ")} (${locations})`;
+
+    if (dependents.length === 1) {
+        text += `, ${dependents[0]} depends on it and gets no fallback`;
+    } else if (dependents.length > 1) {
+        text += `, ${dependents.join(", ")} depend on it and get no fallbacks`;
+    }
+
+    return text;
+};
+
+/**
+ * Formats the diagnostic of a component whose cycles were not all listed, e.g.
+ * `Variables --a, --b, --c, --d reference each other in more than 10 cycles, only the first 10 are reported`
+ * @param {{members: Array<string>, listed: number}} component - Truncated component
+ * @returns {string} Diagnostic
+ */
+const formatTruncation = ({ members, listed }) => `Variables ${members.join(", ")} reference each other in more than ${listed} cycles, ` +
+    `only the first ${listed} are reported`;
+
+module.exports = {
+    findCycles,
+    findDependents,
+    formatCycle,
+    formatTruncation
+};
@@ -0,0 +1,408 @@
+/**
+ * Collection of custom property definitions together with the selector and
+ * at-rule context they were declared in, and selection of the definition
+ * that feeds the fallback value of each variable.
+ */
+
+// Selectors whose definitions apply to the whole document by default
+const DEFAULT_SCOPE = [":root", "html", ":host"];
+
+// At-rules that group declarations without making them conditional
+const TRANSPARENT_AT_RULES = new Set(["layer"]);
+
+/**
+ * Normalizes a selector for comparison
+ *
+ * CSS Modules `:global(...)` and `:local(...)` wrappers, and their bare
+ * `:global .a` form, are removed so `:global(:root)` is the document root.
+ * @param {string} selector - CSS selector
+ * @returns {string} Selector with collapsed whitespace
+ */
+const normalizeSelector = (selector) => selector
+    .replace(/:(?:global|local)\(((?:[^()]|\([^()]*\))*)\)/g, "$1")
+    .replace(/:(?:global|local)(?![\w(-])\s*/g, "")
+    .trim()
+    .replace(/\s+/g, " ");
+
+/**
+ * Checks whether a definition belongs to a web component's shadow root,
+ * i.e. is declared on `:host`, `:host(...)`, `:host-context(...)` or inside them
+ * @param {Object} definition - Variable definition
+ * @returns {boolean} True if every selector of the definition starts with :host
+ */
+const isHostDefinition = (definition) => definition.selectors.length > 0 &&
+    definition.selectors.every((selector) => /^:host(?:-context)?(?![\w-])/i.test(selector));
+
+/**
+ * Checks whether a definition styles the exposed part of another component
+ * @param {Object} definition - Variable definition
+ * @returns {boolean} True if every selector of the definition targets a ::part()
+ */
+const isPartDefinition = (definition) => definition.selectors.length > 0 &&
+    definition.selectors.every((selector) => /::part\(/i.test(selector));
+
+/**
+ * Builds a readable key describing the context of a definition
+ * @param {Object} definition - Variable definition
+ * @returns {string} Context key, e.g. "@media (prefers-color-scheme: dark) :root"
+ */
+const scopeKey = (definition) => [
+    ...definition.atRules.map((atRule) => `@${atRule.name}${atRule.params ? ` ${atRule.params}` : ""}`),
+    ...definition.rules
+].join(" ");
+
+/**
+ * Collects the cascade layers a stylesheet declares, through `@layer a, b;`
+ * statements or `@layer a { }` blocks, in the order they first appear
+ * @param {postcss.Root} root - PostCSS Root node
+ * @returns {Array<{name: string, line: number}>} Full layer names, e.g. "tokens.base"
+ */
+const extractLayers = (root) => {
+    const layers = [];
+
+    root.walkAtRules(/^layer$/i, (atRule) => {
+        const outer = [];
+
+        for (let parent = atRule.parent; parent && parent.type !== "root"; parent = parent.parent) {
+            if (parent.type === "atrule" && parent.name.toLowerCase() === "layer") {
+                outer.unshift(parent.params.trim());
+            }
+        }
+
+        const line = atRule.source && atRule.source.start ? atRule.source.start.line : 0;
+        const names = atRule.nodes ? [atRule.params.trim()] : atRule.params.split(",").map((name) => name.trim());
+
+        names.forEach((name) => layers.push({ name: [...outer, name].join("."), line }));
+    });
+
+    return layers;
+};
+
+/**
+ * Extracts CSS variable declarations from a PostCSS Root
+ * @param {postcss.Root} root - PostCSS Root node
+ * @returns {Array<Object>} Definitions in source order, with their selector and at-rule context
+ */
+const extractVariables = (root) => {
+    const definitions = [];
+
+    root.walkDecls((decl) => {
+        if (!decl.prop.startsWith("--")) {
+            return;
+        }
+
+        const rules = [];
+        const atRules = [];
+        let selectors = [];
+
+        for (let parent = decl.parent; parent && parent.type !== "root"; parent = parent.parent) {
+            if (parent.type === "rule") {
+                if (rules.length === 0) {
+                    selectors = parent.selectors.map(normalizeSelector);
+                }
+                rules.unshift(parent.selectors.map(normalizeSelector).join(", "));
+            } else if (parent.type === "atrule") {
+                atRules.unshift({ name: parent.name.toLowerCase(), params: parent.params });
+            }
+        }
+
+        const definition = {
+            name: decl.prop,
+            value: decl.value,
+            important: Boolean(decl.important),
+            selectors,
+            rules,
+            atRules,
+            source: {
+                file: decl.source && decl.source.input ? decl.source.input.file : undefined,
+                line: decl.source && decl.source.start ? decl.source.start.line : undefined,
+                column: decl.source && decl.source.start ? decl.source.start.column : undefined
+            }
+        };
+        definition.scope = scopeKey(definition);
+
+        definitions.push(definition);
+    });
+
+    return definitions;
+};
+
+/**
+ * Wraps definitions in additional at-rule context, e.g. the conditions of the
+ * @import that brought them in
+ * @param {Array<Object>} definitions - Variable definitions
+ * @param {Array<{name: string, params: string}>} atRules - Outer at-rules, outermost first
+ * @returns {Array<Object>} Copies of the definitions with the outer context
+ */
+const wrapDefinitions = (definitions, atRules) => {
+    if (atRules.length === 0) {
+        return definitions;
+    }
+
+    return definitions.map((definition) => {
+        const wrapped = { ...definition, atRules: [...atRules, ...definition.atRules] };
+        wrapped.scope = scopeKey(wrapped);
+
+        return wrapped;
+    });
+};
+
+/**
+ * Normalizes the `defaultScope` option
+ * @param {Array<string>|string|false} defaultScope - Option value
+ * @returns {Set<string>|null} Selectors of the default scope, or null when scoping is disabled
+ */
+const normalizeDefaultScope = (defaultScope = DEFAULT_SCOPE) => {
+    if (defaultScope === false || defaultScope === null) {
+        return null;
+    }
+
+    const selectors = Array.isArray(defaultScope) ? defaultScope : [defaultScope];
+
+    return new Set(selectors.map(normalizeSelector));
+};
+
+/**
+ * Checks whether a definition belongs to the default scope
+ * @param {Object} definition - Variable definition
+ * @param {Set<string>|null} defaultScope - Normalized default scope
+ * @returns {boolean} True if the definition applies globally
+ */
+const isDefaultScope = (definition, defaultScope) => {
+    if (!defaultScope) {
+        return true;
+    }
+
+    if (definition.rules.length > 1) {
+        return false;
+    }
+
+    if (definition.atRules.some((atRule) => !TRANSPARENT_AT_RULES.has(atRule.name))) {
+        return false;
+    }
+
+    // Definitions without a selector (e.g. design tokens) are global
+    return definition.selectors.every((selector) => defaultScope.has(selector));
+};
+
+/**
+ * Returns the cascade layer a definition belongs to
+ * @param {Object} definition - Variable definition
+ * @returns {Array<string>} Layer names, outermost first, empty when unlayered
+ */
+const layerPath = (definition) => definition.atRules
+    .filter((atRule) => atRule.name === "layer")
+    .flatMap((atRule) => atRule.params.split(".").map((name) => name.trim()));
+
+/**
+ * Orders the cascade layers of a set of definitions
+ * @param {Array<string>} declared - Layer names in the order they were declared
+ * @param {Array<Object>} definitions - Definitions in precedence order, for layers never declared up front
+ * @returns {Map<string, number>} Position of every full layer name, parents included
+ */
+const createLayerOrder = (declared, definitions) => {
+    const order = new Map();
+
+    const add = (segments) => {
+        segments.forEach((_, i) => {
+            const name = segments.slice(0, i + 1).join(".");
+
+            if (!order.has(name)) {
+                order.set(name, order.size);
+            }
+        });
+    };
+
+    declared.forEach((name) => add(name.split(".")));
+    definitions.forEach((definition) => add(layerPath(definition)));
+
+    return order;
+};
+
+/**
+ * Compares the layers of two normal declarations
+ * @param {Array<string>} a - Layer path of the first definition
+ * @param {Array<string>} b - Layer path of the second definition
+ * @param {Map<string, number>} layerOrder - Result of createLayerOrder
+ * @returns {number} Positive when the first layer wins, negative when the second does, 0 for the same layer
+ */
+const compareLayers = (a, b, layerOrder) => {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        // Declarations outside any nested layer beat the nested layers
+        if (i === a.length || i === b.length) {
+            return i === a.length ? 1 : -1;
+        }
+
+        if (a[i] !== b[i]) {
+            return layerOrder.get(a.slice(0, i + 1).join(".")) - layerOrder.get(b.slice(0, i + 1).join("."));
+        }
+    }
+
+    return 0;
+};
+
+/**
+ * Computes the specificity of a selector
+ * @param {string} selector - CSS selector
+ * @returns {number} Specificity with ids, classes and types weighted by powers of 1000
+ */
+const specificity = (selector) => {
+    const stripped = selector.replace(/:(?:where)\((?:[^()]|\([^()]*\))*\)/gi, "").replace(/\[[^\]]*\]/g, ".attr");
+    const ids = (stripped.match(/#[\w-]+/g) || []).length;
+    const classes = (stripped.match(/(?:\.|(?<!:):)[\w-]+/g) || []).length;
+    const types = (stripped.match(/(?:^|[\s>+~(])[a-z][\w-]*|::[\w-]+/gi) || []).length;
+
+    return ids * 1000000 + classes * 1000 + types;
+};
+
+/**
+ * Compares two definitions of a variable applying to the same elements,
+ * following the cascade: importance, then layers, then specificity
+ * @param {Object} a - First definition
+ * @param {Object} b - Second definition
+ * @param {Map<string, number>} layerOrder - Result of createLayerOrder
+ * @returns {number} Positive when the first definition wins, negative when the second does, 0 when source order decides
+ */
+const compareCascade = (a, b, layerOrder) => {
+    if (Boolean(a.important) !== Boolean(b.important)) {
+        return a.important ? 1 : -1;
+    }
+
+    const layers = compareLayers(layerPath(a), layerPath(b), layerOrder);
+
+    // Important declarations reverse the layer order
+    if (layers !== 0) {
+        return a.important ? -layers : layers;
+    }
+
+    // Design tokens have no selector and follow source order only
+    if (a.selectors.length === 0 || b.selectors.length === 0) {
+        return 0;
+    }
+
+    const weight = (definition) => Math.max(...definition.selectors.map(specificity));
+
+    return weight(a) - weight(b);
+};
+
+/**
+ * Builds a key of the elements a definition applies to, ignoring cascade layers
+ * @param {Object} definition - Variable definition
+ * @returns {string} Key shared by definitions competing in the cascade
+ */
+const cascadeKey = (definition) => [
+    ...definition.atRules
+        .filter((atRule) => !TRANSPARENT_AT_RULES.has(atRule.name))
+        .map((atRule) => `@${atRule.name}${atRule.params ? ` ${atRule.params}` : ""}`),
+    ...definition.rules
+].join(" ");
+
+/**
+ * Explains why a definition loses the cascade against another
+ * @param {Object} winner - Winning definition
+ * @param {Object} loser - Losing definition
+ * @returns {string} Reason, e.g. "a !important definition"
+ */
+const describeWinner = (winner, loser) => {
+    if (Boolean(winner.important) !== Boolean(loser.important)) {
+        return "a !important definition";
+    }
+
+    const layer = layerPath(winner).join(".");
+
+    if (layer !== layerPath(loser).join(".")) {
+        return layer ? `a definition in layer ${layer}` : "an unlayered definition";
+    }
+
+    return "a more specific definition";
+};
+
+/**
+ * Selects the definition feeding the fallback of every variable
+ *
+ * Definitions in the default scope always win. Variables that are only defined
+ * in other scopes use their last definition unless `strictScope` is set.
+ * Definitions applying to the same elements (every default scope definition
+ * applies to the document root) compete in the cascade: importance, layer
+ * order and specificity, with the later definition winning a tie. Those
+ * losing to an earlier definition are returned as overridden, since no
+ * source order can make them win.
+ * @param {Array<Object>} definitions - Definitions in precedence order (lowest first)
+ * @param {Object} options - Scope options
+ * @param {Set<string>|null} options.defaultScope - Normalized default scope
+ * @param {boolean} options.strictScope - Ignore definitions outside the default scope
+ * @param {Map<string, number>} [options.layerOrder] - Cascade layer order, see createLayerOrder
+ * @returns {{variables: Map<string, Object>, conflicts: Array<Object>, overridden: Array<Object>}} Selected definitions, ambiguous variables and definitions that can never win
+ */
+const selectDefinitions = (definitions, { defaultScope, strictScope = false, layerOrder = createLayerOrder([], definitions) }) => {
+    const pools = new Map();
+    const cascades = new Map();
+    const overridden = [];
+
+    definitions.forEach((definition) => {
+        const inDefaultScope = isDefaultScope(definition, defaultScope);
+
+        // Parts live in another component's shadow tree, only context matching can use them
+        if ((strictScope && !inDefaultScope) || isPartDefinition(definition)) {
+            return;
+        }
+
+        const key = inDefaultScope ? "" : cascadeKey(definition);
+        const current = cascades.get(`${definition.name} ${key}`);
+
+        if (current && compareCascade(definition, current, layerOrder) < 0) {
+            if (definition.value !== current.value) {
+                overridden.push({ definition, winner: current, reason: describeWinner(current, definition) });
+            }
+
+            return;
+        }
+
+        cascades.set(`${definition.name} ${key}`, definition);
+
+        let pool = pools.get(definition.name);
+
+        if (!pool || (inDefaultScope && !pool.isDefault)) {
+            pool = { isDefault: inDefaultScope, byScope: new Map() };
+            pools.set(definition.name, pool);
+        } else if (!inDefaultScope && pool.isDefault) {
+            return;
+        }
+
+        // Re-insert so the map stays ordered by the latest definition
+        pool.byScope.delete(key);
+        pool.byScope.set(key, definition);
+    });
+
+    const variables = new Map();
+    const conflicts = [];
+
+    pools.forEach(({ byScope }, name) => {
+        const candidates = Array.from(byScope.values());
+        const selected = candidates[candidates.length - 1];
+
+        variables.set(name, selected);
+
+        if (new Set(candidates.map((candidate) => candidate.value)).size > 1) {
+            conflicts.push({ name, selected, candidates });
+        }
+    });
+
+    return { variables, conflicts, overridden };
+};
+
+module.exports = {
+    DEFAULT_SCOPE,
+    TRANSPARENT_AT_RULES,
+    normalizeSelector,
+    isHostDefinition,
+    extractLayers,
+    extractVariables,
+    wrapDefinitions,
+    normalizeDefaultScope,
+    isDefaultScope,
+    createLayerOrder,
+    compareCascade,
+    cascadeKey,
+    selectDefinitions
+};
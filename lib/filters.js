@@ -0,0 +1,71 @@
+/**
+ * Include/exclude filters for variable and property names.
+ */
+
+/**
+ * Turns a filter pattern into a predicate
+ *
+ * Strings match exactly, or as a prefix when they end with `*` (e.g. `--tw-*`).
+ * Regular expressions are tested against the name, functions are called with it.
+ * @param {string|RegExp|Function} pattern - Filter pattern
+ * @returns {Function} Predicate receiving a name
+ */
+const toMatcher = (pattern) => {
+    if (typeof pattern === "function") {
+        return pattern;
+    }
+
+    if (pattern instanceof RegExp) {
+        return (name) => {
+            pattern.lastIndex = 0;
+            return pattern.test(name);
+        };
+    }
+
+    if (typeof pattern === "string") {
+        if (pattern.endsWith("*")) {
+            const prefix = pattern.slice(0, -1);
+            return (name) => name.startsWith(prefix);
+        }
+
+        return (name) => name === pattern;
+    }
+
+    throw new TypeError(`Invalid filter pattern ${pattern}, expected a string, a RegExp or a function`);
+};
+
+/**
+ * Normalizes a filter option into a list of predicates
+ * @param {string|RegExp|Function|Array|undefined} patterns - Option value
+ * @returns {Array<Function>} Predicates
+ */
+const toMatchers = (patterns) => {
+    if (patterns === undefined || patterns === null) {
+        return [];
+    }
+
+    return (Array.isArray(patterns) ? patterns : [patterns]).map(toMatcher);
+};
+
+/**
+ * Creates a filter from include and exclude patterns
+ *
+ * A name passes when it matches any include pattern (or there are none)
+ * and matches no exclude pattern.
+ * @param {string|RegExp|Function|Array} [include] - Patterns of names to keep
+ * @param {string|RegExp|Function|Array} [exclude] - Patterns of names to drop
+ * @returns {Function} Predicate receiving a name
+ */
+const createFilter = (include, exclude) => {
+    const includes = toMatchers(include);
+    const excludes = toMatchers(exclude);
+
+    return (name) => (
+        (includes.length === 0 || includes.some((matches) => matches(name))) &&
+        !excludes.some((matches) => matches(name))
+    );
+};
+
+module.exports = {
+    createFilter
+};
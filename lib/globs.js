@@ -0,0 +1,81 @@
+/**
+ * Expansion of glob patterns and directories in the `fallbacks` option.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { glob, isDynamicPattern } = require("tinyglobby");
+
+// Files picked up from directory entries
+const DIRECTORY_GLOB = "**/*.{css,json}";
+
+/**
+ * Splits a glob pattern into its static base directory and the dynamic rest
+ * @param {string} pattern - Glob pattern, e.g. `tokens/themes/*.css`
+ * @returns {{base: string, glob: string}} Base directory and pattern relative to it
+ */
+const splitPattern = (pattern) => {
+    const segments = pattern.split("/");
+    const dynamicIndex = segments.findIndex((segment) => isDynamicPattern(segment));
+
+    return {
+        base: segments.slice(0, dynamicIndex).join("/") || (pattern.startsWith("/") ? "/" : "."),
+        glob: segments.slice(dynamicIndex).join("/")
+    };
+};
+
+/**
+ * Checks whether a path points to a directory
+ * @param {string} dirPath - Absolute path
+ * @returns {Promise<boolean>} True if the directory exists
+ */
+const isDirectory = async (dirPath) => {
+    try {
+        return (await fs.stat(dirPath)).isDirectory();
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Lists the files matching a pattern, sorted so precedence is deterministic
+ * @param {string} pattern - Glob pattern relative to `cwd`
+ * @param {string} cwd - Absolute base directory
+ * @returns {Promise<Array<string>>} Absolute file paths
+ */
+const listFiles = async (pattern, cwd) => {
+    const files = await glob(pattern, { cwd, absolute: true, onlyFiles: true });
+
+    return files.map((file) => path.normalize(file)).sort();
+};
+
+/**
+ * Expands a `fallbacks` entry into the files it refers to
+ *
+ * Plain paths are returned as is. Glob patterns and directories are expanded
+ * to the files they contain, in lexicographic order, and also report the
+ * directory to watch for added or removed files.
+ * @param {string} entry - Fallback entry: a file path, a glob pattern or a directory
+ * @param {string} baseDir - Directory relative entries are resolved against
+ * @returns {Promise<{files: Array<string>, dir: string|null, glob: string|null}>} Files and watched directory
+ */
+const expandFallback = async (entry, baseDir) => {
+    if (isDynamicPattern(entry)) {
+        const { base, glob: pattern } = splitPattern(entry);
+        const dir = path.resolve(baseDir, base);
+
+        return { files: await listFiles(pattern, dir), dir, glob: pattern };
+    }
+
+    const absolutePath = path.resolve(baseDir, entry);
+
+    if (await isDirectory(absolutePath)) {
+        return { files: await listFiles(DIRECTORY_GLOB, absolutePath), dir: absolutePath, glob: DIRECTORY_GLOB };
+    }
+
+    return { files: [absolutePath], dir: null, glob: null };
+};
+
+module.exports = {
+    expandFallback
+};
@@ -0,0 +1,151 @@
+/**
+ * Parsing and resolution of `@import` rules found in fallback files.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const valueParser = require("./value-parser");
+
+// Specifiers pointing outside the file system
+const REMOTE_URL = /^(?:[a-z][a-z\d+.-]+:|\/\/)/i;
+
+// Specifiers that are always resolved against the importing file
+const RELATIVE_PATH = /^(?:\.{1,2}\/|\/)/;
+
+/**
+ * Parses the params of an @import rule
+ * @param {string} params - At-rule params, e.g. `"./color.css" layer(tokens) (min-width: 40em)`
+ * @returns {{specifier: string, conditions: Array<{name: string, params: string}>}|null} Import target and the
+ * at-rule context it applies in, or null if the params have no target
+ */
+const parseImport = (params) => {
+    const nodes = valueParser.parse(params).filter((node) => node.type !== "comment");
+    const index = nodes.findIndex((node) => node.type !== "space");
+    const target = nodes[index];
+    let specifier = null;
+
+    if (!target) {
+        return null;
+    }
+
+    if (target.type === "string") {
+        specifier = target.value.slice(1, -1);
+    } else if (target.type === "function" && target.name.toLowerCase() === "url") {
+        const argument = target.nodes.find((node) => node.type !== "space");
+        if (argument) {
+            specifier = argument.type === "string" ? argument.value.slice(1, -1) : valueParser.stringify(argument).trim();
+        }
+    }
+
+    if (!specifier) {
+        return null;
+    }
+
+    const conditions = [];
+    const rest = nodes.slice(index + 1);
+    let mediaStart = 0;
+
+    for (let i = 0; i < rest.length; i++) {
+        const node = rest[i];
+
+        if (node.type === "space") {
+            continue;
+        }
+
+        if (node.type === "word" && node.value.toLowerCase() === "layer") {
+            conditions.push({ name: "layer", params: "" });
+        } else if (node.type === "function" && node.name.toLowerCase() === "layer") {
+            conditions.push({ name: "layer", params: valueParser.stringify(node.nodes).trim() });
+        } else if (node.type === "function" && node.name.toLowerCase() === "supports") {
+            conditions.push({ name: "supports", params: `(${valueParser.stringify(node.nodes).trim()})` });
+        } else {
+            break;
+        }
+
+        mediaStart = i + 1;
+    }
+
+    const media = valueParser.stringify(rest.slice(mediaStart)).trim();
+
+    if (media) {
+        conditions.push({ name: "media", params: media });
+    }
+
+    return { specifier, conditions };
+};
+
+/**
+ * Checks whether a path points to an existing file
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<boolean>} True if the file exists
+ */
+const isFile = async (filePath) => {
+    try {
+        return (await fs.stat(filePath)).isFile();
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Resolves a bare specifier through Node resolution, honoring the `style`
+ * field of a package when the specifier is a package name
+ * @param {string} specifier - Bare specifier, e.g. `@acme/tokens` or `@acme/tokens/color.css`
+ * @param {string} baseDir - Directory of the importing file
+ * @returns {Promise<string|null>} Absolute path or null when it can't be resolved
+ */
+const resolvePackage = async (specifier, baseDir) => {
+    const isPackageName = /^(?:@[^/]+\/)?[^/@]+$/.test(specifier);
+
+    try {
+        if (isPackageName) {
+            const manifestPath = require.resolve(`${specifier}/package.json`, { paths: [baseDir] });
+            const manifest = JSON.parse(await fs.readFile(manifestPath, "utf8"));
+
+            if (manifest.style) {
+                return path.resolve(path.dirname(manifestPath), manifest.style);
+            }
+        }
+
+        return require.resolve(specifier, { paths: [baseDir] });
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Resolves an @import specifier to a file path
+ *
+ * Relative specifiers resolve against the importing file. Other specifiers are
+ * first tried relative to the importing file, as CSS does, then as packages.
+ * @param {string} specifier - Import specifier
+ * @param {string} fromFile - Absolute path of the importing file
+ * @returns {Promise<string|null>} Absolute path or null when it can't be resolved
+ */
+const resolveImport = async (specifier, fromFile) => {
+    const baseDir = path.dirname(fromFile);
+    const relativePath = path.resolve(baseDir, specifier);
+
+    if (RELATIVE_PATH.test(specifier)) {
+        return relativePath;
+    }
+
+    if (await isFile(relativePath)) {
+        return relativePath;
+    }
+
+    return resolvePackage(specifier, baseDir);
+};
+
+/**
+ * Checks whether a specifier points to a remote resource
+ * @param {string} specifier - Import specifier
+ * @returns {boolean} True for URLs with a scheme or protocol-relative URLs
+ */
+const isRemote = (specifier) => REMOTE_URL.test(specifier);
+
+module.exports = {
+    parseImport,
+    resolveImport,
+    isRemote
+};
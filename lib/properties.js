@@ -0,0 +1,108 @@
+/**
+ * Generation of `@property` rules registering custom properties with a
+ * syntax inferred from their resolved value.
+ */
+
+const postcss = require("postcss");
+const { isColor } = require("./colors");
+const { foldCalc } = require("./transforms");
+
+// Units whose values don't depend on the element they are computed for
+const ABSOLUTE_LENGTHS = ["px", "cm", "mm", "q", "in", "pt", "pc"];
+const ANGLES = ["deg", "grad", "rad", "turn"];
+const TIMES = ["s", "ms"];
+
+const DIMENSION = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?(%|[a-z]+)?$/i;
+
+/**
+ * Infers the syntax of a value for `@property`
+ *
+ * Only single values that are computationally independent qualify, so
+ * font-relative or viewport lengths, `currentColor` and lists are skipped.
+ * @param {string} value - Resolved value
+ * @returns {string|null} Syntax such as `<color>` or `<length>`, or null
+ */
+const inferSyntax = (value) => {
+    const folded = foldCalc(value).trim();
+    const dimension = DIMENSION.exec(folded);
+
+    if (dimension) {
+        const unit = (dimension[1] || "").toLowerCase();
+
+        if (!unit) {
+            return "<number>";
+        }
+
+        if (unit === "%") {
+            return "<percentage>";
+        }
+
+        if (ABSOLUTE_LENGTHS.includes(unit)) {
+            return "<length>";
+        }
+
+        if (ANGLES.includes(unit)) {
+            return "<angle>";
+        }
+
+        return TIMES.includes(unit) ? "<time>" : null;
+    }
+
+    return isColor(folded) ? "<color>" : null;
+};
+
+/**
+ * Describes the `@property` rule of a variable
+ * @param {string} name - Variable name
+ * @param {string} value - Resolved value
+ * @param {Object} options - Registration options
+ * @param {boolean} [options.inherits=true] - Default `inherits` descriptor
+ * @param {Object} [options.overrides] - Per-variable syntax (string), descriptors (object) or false to skip
+ * @returns {{name: string, syntax: string, inherits: boolean, initialValue: string}|null} Rule, or null when the variable isn't registered
+ */
+const describeProperty = (name, value, { inherits = true, overrides = {} } = {}) => {
+    const override = Object.prototype.hasOwnProperty.call(overrides, name) ? overrides[name] : undefined;
+
+    if (override === false) {
+        return null;
+    }
+
+    const descriptors = typeof override === "string" ? { syntax: override } : override || {};
+    const syntax = descriptors.syntax || inferSyntax(value);
+
+    if (!syntax) {
+        return null;
+    }
+
+    return {
+        name,
+        syntax,
+        inherits: descriptors.inherits !== undefined ? descriptors.inherits : inherits,
+        initialValue: descriptors.initialValue !== undefined ? descriptors.initialValue : foldCalc(value).trim()
+    };
+};
+
+/**
+ * Creates the `@property` at-rule of a variable
+ * @param {Object} property - Rule returned by describeProperty
+ * @returns {postcss.AtRule} At-rule
+ */
+const createPropertyRule = ({ name, syntax, inherits, initialValue }) => {
+    const rule = postcss.atRule({ name: "property", params: name, raws: { between: " ", semicolon: true } });
+
+    rule.append({ prop: "syntax", value: JSON.stringify(syntax) });
+    rule.append({ prop: "inherits", value: String(inherits) });
+
+    // The universal syntax is the only one without a mandatory initial value
+    if (initialValue) {
+        rule.append({ prop: "initial-value", value: initialValue });
+    }
+
+    return rule;
+};
+
+module.exports = {
+    inferSyntax,
+    describeProperty,
+    createPropertyRule
+};
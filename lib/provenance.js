@@ -0,0 +1,100 @@
+/**
+ * Provenance of resolved values: the definitions an inserted fallback was
+ * built from, following nested var() references.
+ */
+
+const valueParser = require("./value-parser");
+const { relativePath } = require("./report");
+
+/**
+ * Lists the definitions a variable resolves through
+ *
+ * References are followed the way they are resolved: a defined variable is
+ * followed into its own definition, an undefined one into its authored
+ * fallback. Each definition is listed once, in depth-first order.
+ * @param {string} varName - Variable name
+ * @param {Map<string, Object>} definitions - Selected definition of every variable
+ * @param {Set<string>} visited - Variables already listed
+ * @returns {Array<{variable: string, file: string, line: number, column: number}>} Hops, the variable's own definition first
+ */
+const traceVariable = (varName, definitions, visited = new Set()) => {
+    const definition = definitions.get(varName);
+
+    if (!definition || visited.has(varName)) {
+        return [];
+    }
+
+    visited.add(varName);
+
+    const hops = [{ variable: varName, ...definition.source }];
+
+    const follow = (nodes) => valueParser.walk(nodes, (node) => {
+        if (!valueParser.isVarFunction(node)) {
+            return;
+        }
+
+        const { name, fallback } = valueParser.parseVar(node);
+
+        if (definitions.has(name)) {
+            hops.push(...traceVariable(name, definitions, visited));
+        } else if (fallback) {
+            follow(fallback);
+        }
+
+        return false;
+    });
+
+    if (valueParser.hasVar(definition.value)) {
+        follow(valueParser.parse(definition.value));
+    }
+
+    return hops;
+};
+
+/**
+ * Formats the location of a definition
+ * @param {{file: string, line: number}} hop - Definition source
+ * @returns {string} Path relative to the working directory with the line, if known
+ */
+const formatLocation = ({ file, line }) => {
+    if (!file) {
+        return "inline tokens";
+    }
+
+    return line ? `${relativePath(file)}:${line}` : relativePath(file);
+};
+
+// Start of the comment text written by formatProvenance
+const PROVENANCE_MARKER = "var-fallback: ";
+
+/**
+ * Formats the provenance of the fallbacks inserted in a declaration as comment text
+ *
+ * A single fallback reads `var-fallback: from tokens/color.css:12`, further
+ * hops are added as `via --blue-500 at tokens/palette.css:3`, and several
+ * fallbacks are prefixed with their variable name and separated by semicolons.
+ * The `var-fallback:` marker tells these comments apart from the author's.
+ * @param {Array<Array<Object>>} chains - Hops of every inserted fallback
+ * @returns {string} Comment text
+ */
+const formatProvenance = (chains) => PROVENANCE_MARKER + chains.map((chain) => {
+    const [own, ...hops] = chain;
+    const via = hops.map((hop) => ` via ${hop.variable} at ${formatLocation(hop)}`).join("");
+    const text = `from ${formatLocation(own)}${via}`;
+
+    return chains.length > 1 ? `${own.variable} ${text}` : text;
+}).join("; ");
+
+/**
+ * Checks whether a comment was written by formatProvenance
+ * @param {postcss.Node|undefined} node - Node following a declaration
+ * @returns {boolean} True for provenance comments
+ */
+const isProvenanceComment = (node) => Boolean(node) && node.type === "comment" && node.text.startsWith(PROVENANCE_MARKER);
+
+module.exports = {
+    traceVariable,
+    formatLocation,
+    formatProvenance,
+    isProvenanceComment
+};
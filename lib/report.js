@@ -0,0 +1,144 @@
+/**
+ * Aggregation of the fallbacks inserted in every processed file into a JSON
+ * report written to disk.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Delay after the last processed file before the report is written
+const WRITE_DELAY = 50;
+
+/**
+ * Formats a path relative to the working directory for stable reports
+ * @param {string|undefined} file - Absolute path
+ * @returns {string|null} Relative path, or null for sources without a file
+ */
+const relativePath = (file) => (file ? path.relative(process.cwd(), file) : null);
+
+/**
+ * Builds the aggregated report
+ * @param {Map<string, Object>} files - Report entries by processed file
+ * @returns {{totals: Object, files: Object}} Report with totals, files sorted by path
+ */
+const buildReport = (files) => {
+    const report = { totals: { files: files.size, fallbacks: 0, unresolved: 0, circular: 0 }, files: {} };
+
+    Array.from(files.keys()).sort().forEach((file) => {
+        const entry = files.get(file);
+
+        report.totals.fallbacks += entry.fallbacks.length;
+        report.totals.unresolved += entry.unresolved.length;
+        report.totals.circular += entry.circular.length;
+        report.files[file] = entry;
+    });
+
+    return report;
+};
+
+/**
+ * Creates a writer saving JSON shortly after the last update, and when the
+ * process exits, so files processed together produce a single write
+ *
+ * `write` throws when the file can't be written. Scheduled writes run after
+ * PostCSS has finished with the file, so their error is kept for `takeError`
+ * instead, and printed to stderr when it happens at exit.
+ * @param {string} file - Path of the JSON file
+ * @param {Function} build - Returns the data to write
+ * @returns {{schedule: Function, write: Function, takeError: Function}} Writer
+ */
+const createDebouncedWriter = (file, build) => {
+    let timer = null;
+    let failure = null;
+
+    const write = () => {
+        clearTimeout(timer);
+        timer = null;
+
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        fs.writeFileSync(file, `${JSON.stringify(build(), null, 2)}\n`);
+    };
+
+    const writeScheduled = () => {
+        try {
+            write();
+            failure = null;
+        } catch (error) {
+            failure = error;
+        }
+    };
+
+    const flushOnExit = () => {
+        if (timer) {
+            writeScheduled();
+        }
+
+        if (failure) {
+            process.stderr.write(`Could not write ${file}: ${failure.message}\n`);
+        }
+    };
+
+    const schedule = () => {
+        if (timer) {
+            clearTimeout(timer);
+        } else {
+            // Still registered when the previous write failed
+            process.removeListener("exit", flushOnExit);
+            process.once("exit", flushOnExit);
+        }
+
+        timer = setTimeout(() => {
+            writeScheduled();
+
+            // Kept on failure, so an error nobody took is printed at exit
+            if (!failure) {
+                process.removeListener("exit", flushOnExit);
+            }
+        }, WRITE_DELAY);
+        timer.unref();
+    };
+
+    /**
+     * Returns the error of the last scheduled write, once
+     * @returns {Error|null} Error, or null when the last write succeeded
+     */
+    const takeError = () => {
+        const error = failure;
+        failure = null;
+        return error;
+    };
+
+    return { schedule, write, takeError };
+};
+
+/**
+ * Creates a report writer
+ *
+ * Entries are kept per processed file, so processing a file again in watch
+ * mode replaces its previous entry.
+ * @param {string} reportFile - Path of the JSON report
+ * @returns {{update: Function, write: Function, takeError: Function}} Report writer
+ */
+const createReportWriter = (reportFile) => {
+    const files = new Map();
+    const writer = createDebouncedWriter(reportFile, () => buildReport(files));
+
+    /**
+     * Records the report of a processed file and schedules a write
+     * @param {string|undefined} file - Absolute path of the processed file
+     * @param {{fallbacks: Array, unresolved: Array, circular: Array}} entry - What happened in the file
+     */
+    const update = (file, entry) => {
+        files.set(relativePath(file) || "(unknown)", entry);
+        writer.schedule();
+    };
+
+    return { update, write: writer.write, takeError: writer.takeError };
+};
+
+module.exports = {
+    relativePath,
+    buildReport,
+    createDebouncedWriter,
+    createReportWriter
+};
@@ -0,0 +1,668 @@
+/**
+ * Loading of the fallback sources and resolution of their variables. The
+ * PostCSS plugin is built on it, and it is exported for tooling that needs
+ * the same values outside of a build, like documentation generators.
+ */
+
+const path = require("path");
+const postcss = require("postcss");
+const valueParser = require("./value-parser");
+const {
+    extractLayers,
+    extractVariables,
+    wrapDefinitions,
+    normalizeDefaultScope,
+    isHostDefinition,
+    createLayerOrder,
+    selectDefinitions
+} = require("./definitions");
+const { parseImport, resolveImport, isRemote } = require("./imports");
+const {
+    isPlainObject,
+    isTokenFile,
+    isTokenModule,
+    tokensToDefinitions,
+    parseTokenFile
+} = require("./tokens");
+const { expandFallback } = require("./globs");
+const { createFileCache } = require("./cache");
+const { createFilter } = require("./filters");
+const { traceVariable, formatLocation } = require("./provenance");
+const { findCycles, findDependents } = require("./cycles");
+const { CONTEXT_STRATEGIES, getDeclarationContext, matchDefinitions } = require("./context");
+
+/**
+ * Parses a CSS fallback file into the data kept in the file cache
+ * @param {string} css - File contents
+ * @param {string} filePath - Absolute path of the CSS file
+ * @returns {{imports: Array<Object>, layers: Array<Object>, definitions: Array<Object>}} Top-level @import rules, declared cascade layers and variable definitions
+ */
+const parseCssFile = (css, filePath) => {
+    const root = postcss.parse(css, { from: filePath });
+
+    const imports = root.nodes
+        .filter((node) => node.type === "atrule" && node.name.toLowerCase() === "import")
+        .map((node) => ({ params: node.params, line: node.source.start.line }));
+
+    return { imports, layers: extractLayers(root), definitions: extractVariables(root) };
+};
+
+/**
+ * Loads a fallback file and the files it pulls in through @import, and
+ * returns their variable definitions in precedence order
+ * @param {string} filePath - Absolute path of the CSS file
+ * @param {Object} context - Loading context collecting dependencies and warnings
+ * @param {Array<string>} importStack - Files currently being imported (for circular import detection)
+ * @param {Array<string>} outerLayers - Cascade layers the file is imported into
+ * @returns {Promise<Array<Object>>} Definitions, imported ones first
+ */
+const loadDefinitions = async (filePath, context, importStack = [], outerLayers = []) => {
+    // Registered before loading so fixing a broken or missing file triggers a rebuild
+    context.dependencies.add(filePath);
+
+    const { imports, layers, definitions: ownDefinitions } = await context.cache.read(filePath, parseCssFile);
+    const stack = [...importStack, filePath];
+    const definitions = [];
+    let declared = 0;
+
+    // Layers are ordered by their first appearance, which may come before, between or after the imports
+    const declareLayers = (beforeLine) => {
+        for (; declared < layers.length && layers[declared].line < beforeLine; declared++) {
+            context.layers.push([...outerLayers, layers[declared].name].join("."));
+        }
+    };
+
+    // @import rules must precede other rules, so imported definitions come first
+    for (const { params, line } of imports) {
+        const location = `${path.relative(process.cwd(), filePath)}:${line}`;
+        const parsed = parseImport(params);
+
+        declareLayers(line);
+
+        if (!parsed) {
+            context.warn(`Could not parse @import ${params} (${location})`, params);
+            continue;
+        }
+
+        if (isRemote(parsed.specifier)) {
+            context.warn(`Skipping remote @import ${parsed.specifier} (${location})`, parsed.specifier);
+            continue;
+        }
+
+        const importPath = await resolveImport(parsed.specifier, filePath);
+
+        if (!importPath) {
+            context.warn(`Could not resolve @import ${parsed.specifier} (${location})`, parsed.specifier);
+            continue;
+        }
+
+        if (stack.includes(importPath)) {
+            context.warn(`Circular @import of ${parsed.specifier} (${location})`, parsed.specifier);
+            continue;
+        }
+
+        const importLayers = [
+            ...outerLayers,
+            ...parsed.conditions.filter((condition) => condition.name === "layer").map((condition) => condition.params)
+        ];
+
+        if (importLayers.length > outerLayers.length) {
+            context.layers.push(importLayers.join("."));
+        }
+
+        try {
+            const imported = await loadDefinitions(importPath, context, stack, importLayers);
+            definitions.push(...wrapDefinitions(imported, parsed.conditions));
+        } catch (error) {
+            context.warn(`Error processing @import ${parsed.specifier} (${location}): ${error.message}`, parsed.specifier);
+        }
+    }
+
+    declareLayers(Infinity);
+    definitions.push(...ownDefinitions);
+
+    return definitions;
+};
+
+/**
+ * Resolves every var() reference in a value, falling back to the authored
+ * fallback (itself resolved) when the reference is unknown
+ * @param {Array<Object>} nodes - Parsed value
+ * @param {Map<string, string>} variableMap - Map of all available variables
+ * @param {Set<string>} resolving - Variables being resolved, so cycles end instead of recursing forever
+ * @param {Map<string, string>} cache - Resolved values of the same variable map
+ * @returns {string} The resolved value, with unknown references left as is
+ */
+const resolveValue = (nodes, variableMap, resolving, cache) => valueParser.replaceVars(nodes, ({ name, fallback }) => {
+    const nestedResolvedValue = resolveVariable(name, variableMap, new Set(resolving), cache);
+
+    if (nestedResolvedValue !== null) {
+        return nestedResolvedValue;
+    }
+
+    if (fallback) {
+        return resolveValue(fallback, variableMap, resolving, cache).trim();
+    }
+
+    return null;
+});
+
+/**
+ * Resolves a variable to its final value by following var() references
+ *
+ * Cycles are reported by the analysis of the variable map (see lib/cycles.js);
+ * callers skip the variables it flags, this only keeps a stray cycle from
+ * recursing forever.
+ * @param {string} varName - The variable name to resolve
+ * @param {Map<string, string>} variableMap - Map of all available variables
+ * @param {Set<string>} resolving - Variables being resolved
+ * @param {Map<string, string>} cache - Resolved values of the same variable map
+ * @returns {string|null} The resolved value or null if unresolvable
+ */
+const resolveVariable = (varName, variableMap, resolving = new Set(), cache = new Map()) => {
+    // If we don't have this variable, or are already resolving it, return null
+    if (!variableMap.has(varName) || resolving.has(varName)) {
+        return null;
+    }
+
+    // Check cache
+    if (cache.has(varName)) {
+        return cache.get(varName);
+    }
+
+    const value = variableMap.get(varName);
+
+    // Add to resolving set
+    resolving.add(varName);
+
+    const resolvedValue = valueParser.hasVar(value)
+        ? resolveValue(valueParser.parse(value), variableMap, resolving, cache)
+        : value;
+
+    // Remove from resolving set
+    resolving.delete(varName);
+
+    // Cache and return the final resolved value
+    cache.set(varName, resolvedValue);
+    return resolvedValue;
+};
+
+/**
+ * Expands the var() references of a value up to a depth
+ *
+ * References deeper than the depth are kept as authored. In nested mode a
+ * known reference becomes `var(--b, <expanded value>)` instead of the bare
+ * value, so overriding `--b` at runtime still takes effect, and unknown
+ * references keep their var() around the expanded authored fallback.
+ * @param {Array<Object>} nodes - Parsed value
+ * @param {Map<string, string>} variableMap - Map of all available variables
+ * @param {number} depth - Levels of references still expanded
+ * @param {boolean} nested - Emit nested var() fallbacks instead of flattened values
+ * @param {Map<string, string>} cache - Expanded values of the same variable map
+ * @returns {string} Expanded value
+ */
+const expandValue = (nodes, variableMap, depth, nested, cache) => valueParser.replaceVars(nodes, ({ name, fallback }, node) => {
+    if (depth <= 0) {
+        return valueParser.stringify(node);
+    }
+
+    if (variableMap.has(name)) {
+        const expanded = expandVariable(name, variableMap, depth, nested, cache);
+        return nested ? `var(${name}, ${expanded})` : expanded;
+    }
+
+    return fallback && !nested ? expandValue(fallback, variableMap, depth, nested, cache).trim() : null;
+});
+
+/**
+ * Expands the value of a variable up to a depth, see expandValue
+ * @param {string} varName - Variable name, known and free of circular references
+ * @param {Map<string, string>} variableMap - Map of all available variables
+ * @param {number} depth - Levels of references expanded, 1 keeps the definition as authored
+ * @param {boolean} nested - Emit nested var() fallbacks instead of flattened values
+ * @param {Map<string, string>} cache - Expanded values of the same variable map
+ * @returns {string} Expanded value
+ */
+const expandVariable = (varName, variableMap, depth, nested, cache) => {
+    const key = `${varName} ${depth}`;
+
+    if (!cache.has(key)) {
+        const value = variableMap.get(varName);
+
+        cache.set(key, valueParser.hasVar(value)
+            ? expandValue(valueParser.parse(value), variableMap, depth - 1, nested, cache)
+            : value);
+    }
+
+    return cache.get(key);
+};
+
+/**
+ * Formats the warning of a fallback glob that matched no files
+ * @param {string} pattern - Fallback pattern
+ * @returns {string} Warning message
+ */
+const formatEmptyPattern = (pattern) => `Fallback pattern ${pattern} did not match any files`;
+
+/**
+ * Creates a resolver of the variables defined in fallback sources, along
+ * with the snapshots and variable maps the plugin processes files with
+ *
+ * Sources are loaded on first use and reloaded when one of their files
+ * changes, so a resolver can live as long as a watcher.
+ * @param {Object} [opts] - Options of the plugin describing the sources (fallbacks, include, exclude, defaultScope, strictScope, tokenName, cacheLocation, contextMatching, privateHost)
+ * @param {string} [opts.cwd] - Directory relative fallback paths are resolved against, defaults to the working directory
+ * @returns {Object} Resolver methods and plugin internals
+ */
+const createResolverCore = (opts = {}) => {
+    const {
+        fallbacks = [],
+        strictScope = false,
+        tokenName,
+        cacheLocation,
+        contextMatching = false,
+        privateHost = false
+    } = opts;
+    const defaultScope = normalizeDefaultScope(opts.defaultScope);
+    const isIncluded = createFilter(opts.include, opts.exclude);
+    const contextStrategy = contextMatching === true ? "ancestor" : contextMatching;
+
+    if (privateHost && defaultScope) {
+        defaultScope.add(":host");
+    }
+
+    if (contextStrategy && typeof contextStrategy !== "function" && !CONTEXT_STRATEGIES.includes(contextStrategy)) {
+        throw new TypeError(`Unknown contextMatching strategy ${contextStrategy}, expected one of ${CONTEXT_STRATEGIES.join(", ")} or a function`);
+    }
+
+    // Fallback sources, empty when only the processed files' own variables are used
+    const sources = Array.isArray(fallbacks) ? fallbacks : [];
+
+    // Parsed fallback files, shared by every file processed with this resolver
+    const cache = createFileCache({ cacheLocation });
+
+    // Variable maps built from the fallbacks, per directory relative paths are resolved against
+    const snapshots = new Map();
+
+    /**
+     * Builds the variable map from the selected definitions and finds circular references
+     *
+     * Cycles are listed with the definitions they go through and the
+     * variables that depend on them. `truncated` lists the components whose
+     * cycles were not all listed. `circularRefs` maps every variable that
+     * cannot be resolved because of a cycle to that cycle.
+     * @param {Map<string, Object>} selected - Definition feeding the fallback of every variable
+     * @returns {Object} Selected definitions, variable map, cycles, truncated components and circular references
+     */
+    const analyzeSelection = (selected) => {
+        const variableMap = new Map();
+
+        selected.forEach((definition, name) => {
+            variableMap.set(name, definition.value);
+        });
+
+        const components = findCycles(variableMap);
+        const dependents = findDependents(variableMap, components);
+        const componentDependents = components.map((_, index) => Array.from(dependents.keys())
+            .filter((name) => dependents.get(name).includes(index)));
+        const cycles = [];
+        const truncated = [];
+        const circularRefs = new Map();
+
+        components.forEach((component, index) => {
+            const componentCycles = component.cycles.map((cyclePath) => ({
+                path: cyclePath,
+                definitions: cyclePath.slice(0, -1).map((variable) => ({ variable, ...selected.get(variable).source })),
+                dependents: componentDependents[index]
+            }));
+
+            componentCycles.forEach((cycle) => cycle.path.forEach((name) => {
+                if (!circularRefs.has(name)) {
+                    circularRefs.set(name, cycle);
+                }
+            }));
+            // Members of a truncated component may be part of unlisted cycles only
+            component.members.forEach((name) => {
+                if (!circularRefs.has(name)) {
+                    circularRefs.set(name, componentCycles[0]);
+                }
+            });
+
+            if (component.truncated) {
+                truncated.push({ members: component.members, listed: componentCycles.length, dependents: componentDependents[index] });
+            }
+
+            cycles.push(componentCycles);
+        });
+        dependents.forEach(([index], name) => circularRefs.set(name, cycles[index][0]));
+
+        return {
+            selected,
+            variableMap,
+            cycles: cycles.flat(),
+            truncated,
+            circularRefs,
+            resolved: new Map(),
+            expanded: new Map()
+        };
+    };
+
+    /**
+     * Builds the variable map from definitions and finds circular references
+     * @param {Array<Object>} definitions - Definitions in precedence order (lowest first)
+     * @param {Array<string>} layers - Cascade layers in the order they were declared
+     * @returns {Object} Variable map, circular references and the warnings found while building them
+     */
+    const analyzeDefinitions = (definitions, layers) => {
+        const warnings = [];
+        const warn = (text, word) => warnings.push({ text, word });
+        const layerOrder = createLayerOrder(layers, definitions);
+
+        // Build variable map from the definitions in scope
+        const { variables, conflicts, overridden } = selectDefinitions(definitions, { defaultScope, strictScope, layerOrder });
+
+        overridden.forEach(({ definition, winner, reason }) => {
+            warn(`Definition of ${definition.name} at ${formatLocation(definition.source)} can never win over ${reason} at ${formatLocation(winner.source)}`, definition.name);
+        });
+
+        // Matched per declaration instead when fallbacks follow the declaration's context
+        if (!contextStrategy) {
+            conflicts.forEach(({ name, selected, candidates }) => {
+                const scopes = candidates.map((candidate) => candidate.scope || "(global)").join(", ");
+                warn(`Variable ${name} has conflicting definitions in several scopes (${scopes}), using ${selected.scope || "(global)"}`, name);
+            });
+        }
+
+        return {
+            ...analyzeSelection(variables),
+            definitions,
+            layerOrder,
+            definedNames: new Set(definitions.map((definition) => definition.name)),
+            contexts: new Map(),
+            ambiguities: new Map(),
+            warnings
+        };
+    };
+
+    /**
+     * Returns the variables of a declaration's context, where definitions
+     * matching its ancestor selectors and at-rules override the global ones
+     * when `contextMatching` is set
+     * @param {Object} variables - Result of analyzeDefinitions
+     * @param {postcss.Declaration} decl - Declaration
+     * @returns {Object} Variables of the context, with the ambiguous matches
+     */
+    const getContextVariables = (variables, decl) => {
+        if (!contextStrategy) {
+            return variables;
+        }
+
+        const context = getDeclarationContext(decl);
+
+        if (!variables.contexts.has(context.key)) {
+            const { matches, ambiguities } = matchDefinitions(variables.definitions, context, {
+                strategy: contextStrategy,
+                defaultScope,
+                layerOrder: variables.layerOrder
+            });
+
+            if (matches.size === 0) {
+                variables.contexts.set(context.key, { ...variables, ambiguities });
+            } else {
+                const selected = new Map([...variables.selected, ...matches]);
+
+                variables.contexts.set(context.key, { ...variables, ...analyzeSelection(selected), ambiguities });
+            }
+        }
+
+        return variables.contexts.get(context.key);
+    };
+
+    /**
+     * Loads every fallback source and builds the variable map
+     * @param {string} baseDir - Directory relative fallback paths are resolved against
+     * @returns {Promise<Object>} Snapshot of the variable map and what it was built from
+     */
+    const buildSnapshot = async (baseDir) => {
+        const context = {
+            cache,
+            dependencies: new Set(),
+            dirDependencies: [],
+            expansions: [],
+            layers: [],
+            emptyPatterns: [],
+            warnings: [],
+            warn(text, word) {
+                this.warnings.push({ text, word });
+            }
+        };
+        const warn = (message) => context.warn(message);
+
+        // Collect definitions from fallback sources
+        const definitions = [];
+
+        // Process fallback sources in order (last source has highest precedence)
+        for (let i = 0; i < sources.length; i++) {
+            const fallback = sources[i];
+
+            // Inline token objects
+            if (isPlainObject(fallback)) {
+                definitions.push(...tokensToDefinitions(fallback, { tokenName, warn }));
+                continue;
+            }
+
+            let expanded;
+
+            try {
+                expanded = await expandFallback(fallback, baseDir);
+            } catch (error) {
+                context.warn(`Error processing fallback file ${fallback}: ${error.message}`, String(fallback));
+                continue;
+            }
+
+            if (expanded.dir) {
+                context.dirDependencies.push({ dir: expanded.dir, glob: expanded.glob });
+                context.expansions.push({ fallback, files: expanded.files });
+
+                if (expanded.files.length === 0) {
+                    context.emptyPatterns.push(fallback);
+                }
+            }
+
+            // Later files override earlier ones
+            for (const file of expanded.files) {
+                try {
+                    if (isTokenFile(file)) {
+                        context.dependencies.add(file);
+                        const tokens = await cache.read(file, parseTokenFile, { persist: !isTokenModule(file) });
+                        definitions.push(...tokensToDefinitions(tokens, { file, tokenName, warn }));
+                    } else {
+                        definitions.push(...await loadDefinitions(file, context));
+                    }
+                } catch (error) {
+                    const label = expanded.dir ? path.relative(expanded.dir, file) : fallback;
+                    context.warn(`Error processing fallback file ${label}: ${error.message}`, String(fallback));
+                }
+            }
+        }
+
+        // With privateHost, a component's :host block only feeds the component itself
+        const includedDefinitions = definitions.filter((definition) => (
+            isIncluded(definition.name) && !(privateHost && isHostDefinition(definition))
+        ));
+
+        // Remember the content of every dependency to detect changes later
+        const hashes = new Map();
+
+        for (const file of context.dependencies) {
+            hashes.set(file, await cache.check(file));
+        }
+
+        try {
+            await cache.save();
+        } catch (error) {
+            context.warn(`Could not write cache ${cacheLocation}: ${error.message}`, cacheLocation);
+        }
+
+        return {
+            ...context,
+            hashes,
+            definitions: includedDefinitions,
+            variables: analyzeDefinitions(includedDefinitions, context.layers)
+        };
+    };
+
+    /**
+     * Checks whether a snapshot still matches the files on disk
+     * @param {Object} snapshot - Snapshot returned by buildSnapshot
+     * @param {string} baseDir - Directory relative fallback paths are resolved against
+     * @returns {Promise<boolean>} True if no fallback file changed, appeared or disappeared
+     */
+    const isFresh = async (snapshot, baseDir) => {
+        for (const { fallback, files } of snapshot.expansions) {
+            const expanded = await expandFallback(fallback, baseDir);
+
+            if (expanded.files.join("\n") !== files.join("\n")) {
+                return false;
+            }
+        }
+
+        for (const [file, hash] of snapshot.hashes) {
+            if (await cache.check(file) !== hash) {
+                return false;
+            }
+        }
+
+        return true;
+    };
+
+    /**
+     * Returns an up-to-date snapshot, reusing the previous one when possible
+     * @param {string} baseDir - Directory relative fallback paths are resolved against
+     * @returns {Promise<Object>} Snapshot of the variable map
+     */
+    const getSnapshot = async (baseDir) => {
+        const pending = snapshots.get(baseDir);
+
+        if (pending) {
+            const snapshot = await pending;
+
+            if (await isFresh(snapshot, baseDir)) {
+                return snapshot;
+            }
+        }
+
+        // Stored before it resolves so concurrently processed files share the build
+        const building = buildSnapshot(baseDir);
+        snapshots.set(baseDir, building);
+
+        return building;
+    };
+
+    /**
+     * Returns the variables of the sources resolved against `opts.cwd`
+     * @returns {Promise<Object>} Result of analyzeDefinitions
+     */
+    const load = async () => (await getSnapshot(path.resolve(opts.cwd || "."))).variables;
+
+    /**
+     * Resolves a variable to its final value
+     * @param {string} name - Variable name, e.g. "--brand"
+     * @returns {Promise<string|null>} Value with every reference resolved, or null when the variable is unknown or circular
+     */
+    const resolve = async (name) => {
+        const variables = await load();
+
+        if (!variables.variableMap.has(name) || variables.circularRefs.has(name)) {
+            return null;
+        }
+
+        return resolveVariable(name, variables.variableMap, new Set(), variables.resolved);
+    };
+
+    /**
+     * Returns the definition selected for a variable and where it comes from
+     * @param {string} name - Variable name
+     * @returns {Promise<Object|null>} Definition with its resolved value and provenance chain, or null when unknown
+     */
+    const getDefinition = async (name) => {
+        const variables = await load();
+        const definition = variables.selected.get(name);
+
+        if (!definition) {
+            return null;
+        }
+
+        return {
+            name,
+            value: definition.value,
+            resolved: await resolve(name),
+            scope: definition.scope || null,
+            important: Boolean(definition.important),
+            source: { ...definition.source },
+            chain: traceVariable(name, variables.selected)
+        };
+    };
+
+    /**
+     * Lists the variables of the sources
+     * @returns {Promise<Array<string>>} Variable names in precedence order
+     */
+    const listVariables = async () => Array.from((await load()).selected.keys());
+
+    /**
+     * Lists the circular references between the variables
+     * @returns {Promise<Array<Object>>} Every cycle once, with the definitions it goes through and the variables depending on it
+     */
+    const getCycles = async () => (await load()).cycles.map(({ path: cyclePath, definitions, dependents }) => ({
+        path: [...cyclePath],
+        definitions: definitions.map((definition) => ({ ...definition })),
+        dependents: [...dependents]
+    }));
+
+    /**
+     * Lists the problems found while loading the sources, e.g. files that
+     * could not be read or definitions that can never win
+     * @returns {Promise<Array<string>>} Warning messages, circular references excepted (see getCycles)
+     */
+    const getWarnings = async () => {
+        const snapshot = await getSnapshot(path.resolve(opts.cwd || "."));
+
+        return [
+            ...snapshot.emptyPatterns.map(formatEmptyPattern),
+            ...snapshot.warnings.map(({ text }) => text),
+            ...snapshot.variables.warnings.map(({ text }) => text)
+        ];
+    };
+
+    return {
+        resolve,
+        getDefinition,
+        listVariables,
+        getCycles,
+        getWarnings,
+        getSnapshot,
+        analyzeDefinitions,
+        getContextVariables
+    };
+};
+
+/**
+ * Creates the public resolver, see createResolverCore
+ * @param {Object} [opts] - Options describing the sources, and `cwd`
+ * @returns {{resolve: Function, getDefinition: Function, listVariables: Function, getCycles: Function, getWarnings: Function}} Resolver
+ */
+const createResolver = (opts) => {
+    const { resolve, getDefinition, listVariables, getCycles, getWarnings } = createResolverCore(opts);
+
+    return { resolve, getDefinition, listVariables, getCycles, getWarnings };
+};
+
+module.exports = {
+    createResolver,
+    createResolverCore,
+    formatEmptyPattern,
+    resolveVariable,
+    resolveValue,
+    expandVariable
+};
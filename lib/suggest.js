@@ -0,0 +1,60 @@
+/**
+ * "Did you mean" suggestions for misspelled variable names.
+ */
+
+/**
+ * Computes the Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits turning `a` into `b`
+ */
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+/**
+ * Finds the known name closest to a misspelled one
+ * @param {string} name - Unknown variable name
+ * @param {Iterable<string>} candidates - Known variable names
+ * @returns {string|null} Closest name within a length-dependent distance, or null
+ */
+const suggestName = (name, candidates) => {
+    const maxDistance = Math.max(2, Math.floor(name.length / 5));
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+        if (Math.abs(candidate.length - name.length) > maxDistance) {
+            continue;
+        }
+
+        const distance = editDistance(name, candidate);
+
+        if (distance <= maxDistance && distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+
+    return best;
+};
+
+module.exports = {
+    suggestName
+};
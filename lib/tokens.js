@@ -0,0 +1,235 @@
+/**
+ * Conversion of design tokens (inline objects, W3C Design Tokens / Style
+ * Dictionary JSON, JS modules) into variable definitions.
+ */
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+// File extensions loaded as JS modules
+const MODULE_EXTENSIONS = new Set([".js", ".cjs", ".mjs"]);
+
+// Alias references such as {color.brand}
+const ALIAS = /\{([^{}]+)\}/g;
+
+/**
+ * Checks whether a value is a plain object
+ * @param {*} value - Any value
+ * @returns {boolean} True for object literals
+ */
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Default naming of tokens: `["color", "brand"]` becomes `--color-brand`,
+ * names that already are custom properties are kept as is
+ * @param {Array<string>} tokenPath - Path of the token in the token tree
+ * @returns {string} Custom property name
+ */
+const defaultTokenName = (tokenPath) => {
+    if (tokenPath.length === 1 && tokenPath[0].startsWith("--")) {
+        return tokenPath[0];
+    }
+
+    return `--${tokenPath.join("-")}`;
+};
+
+/**
+ * Quotes a font family name when it contains whitespace
+ * @param {string} family - Font family name
+ * @returns {string} CSS font family
+ */
+const quoteFontFamily = (family) => (/\s/.test(family) && !/^["']/.test(family) ? `"${family}"` : family);
+
+/**
+ * Formats a token value as CSS
+ * @param {*} value - Token value
+ * @param {string|undefined} type - Token type ($type)
+ * @returns {string|null} CSS value, or null when the value has no CSS representation
+ */
+const formatValue = (value, type) => {
+    if (typeof value === "string" || typeof value === "number") {
+        return type === "fontFamily" ? quoteFontFamily(String(value)) : String(value);
+    }
+
+    if (Array.isArray(value)) {
+        if (type === "cubicBezier") {
+            return `cubic-bezier(${value.join(", ")})`;
+        }
+
+        const items = value.map((item) => formatValue(item, type));
+
+        return items.includes(null) ? null : items.join(", ");
+    }
+
+    if (!isPlainObject(value)) {
+        return null;
+    }
+
+    // Dimensions and durations: { value: 4, unit: "px" }
+    if ("value" in value && "unit" in value) {
+        return `${value.value}${value.unit}`;
+    }
+
+    // Colors: { colorSpace, components, hex }
+    if (typeof value.hex === "string") {
+        return value.hex;
+    }
+
+    if (type === "shadow") {
+        const parts = [value.offsetX, value.offsetY, value.blur, value.spread, value.color]
+            .filter((part) => part !== undefined)
+            .map((part) => formatValue(part));
+
+        return parts.includes(null) ? null : `${value.inset ? "inset " : ""}${parts.join(" ")}`;
+    }
+
+    if (type === "border") {
+        const parts = [value.width, value.style, value.color].map((part) => formatValue(part));
+
+        return parts.includes(null) ? null : parts.join(" ");
+    }
+
+    return null;
+};
+
+/**
+ * Converts a token tree into variable definitions
+ *
+ * Supports W3C Design Tokens (`$value`/`$type`), Style Dictionary (`value`) and
+ * flat (`{ "--primary": "#333" }` or nested plain values) formats. Alias
+ * references like `{color.brand}` become var() references.
+ * @param {Object} tokens - Token tree
+ * @param {Object} options - Conversion options
+ * @param {string} [options.file] - File the tokens come from
+ * @param {Function} [options.tokenName] - Maps a token path to a custom property name
+ * @param {Function} [options.warn] - Called with a message for tokens that can't be converted
+ * @returns {Array<Object>} Definitions in document order
+ */
+const tokensToDefinitions = (tokens, { file, tokenName = defaultTokenName, warn = () => {} } = {}) => {
+    const definitions = [];
+
+    const resolveAliases = (value) => value.replace(ALIAS, (match, reference) => `var(${tokenName(reference.trim().split("."))})`);
+
+    const walk = (group, groupPath, inheritedType) => {
+        const groupType = group.$type || inheritedType;
+
+        Object.keys(group).forEach((key) => {
+            if (key.startsWith("$")) {
+                return;
+            }
+
+            const node = group[key];
+            const tokenPath = [...groupPath, key];
+            let rawValue = node;
+            let type = groupType;
+
+            if (isPlainObject(node)) {
+                if ("$value" in node) {
+                    rawValue = node.$value;
+                    type = node.$type || groupType;
+                } else if ("value" in node) {
+                    rawValue = node.value;
+                    type = node.type || node.$type || groupType;
+                } else {
+                    walk(node, tokenPath, groupType);
+                    return;
+                }
+            }
+
+            const value = formatValue(rawValue, type);
+
+            if (value === null) {
+                warn(`Unsupported value for token ${tokenPath.join(".")}${file ? ` in ${file}` : ""}`);
+                return;
+            }
+
+            definitions.push({
+                name: tokenName(tokenPath, node),
+                value: resolveAliases(value),
+                selectors: [],
+                rules: [],
+                atRules: [],
+                scope: "",
+                source: { file, line: undefined, column: undefined }
+            });
+        });
+    };
+
+    walk(tokens, [], undefined);
+
+    return definitions;
+};
+
+/**
+ * Checks whether a fallback entry is a token file rather than a CSS file
+ * @param {string} filePath - Fallback path
+ * @returns {boolean} True for JSON and JS files
+ */
+const isTokenFile = (filePath) => {
+    const extension = path.extname(filePath).toLowerCase();
+
+    return extension === ".json" || MODULE_EXTENSIONS.has(extension);
+};
+
+/**
+ * Loads a JS module exporting tokens, or a function returning them
+ * @param {string} filePath - Absolute path of the module
+ * @returns {Promise<Object>} Token tree
+ */
+const loadTokenModule = async (filePath) => {
+    let exported;
+
+    try {
+        // Drop the cached module so edits are picked up in watch mode
+        delete require.cache[require.resolve(filePath)];
+        exported = require(filePath);
+    } catch (error) {
+        if (error.code !== "ERR_REQUIRE_ESM" && path.extname(filePath).toLowerCase() !== ".mjs") {
+            throw error;
+        }
+
+        const url = pathToFileURL(filePath);
+        url.search = `?t=${Date.now()}`;
+        exported = await import(url.href);
+    }
+
+    // Unwrap ES module namespaces and transpiled default exports
+    if (exported && (exported.__esModule || exported[Symbol.toStringTag] === "Module") && "default" in exported) {
+        exported = exported.default;
+    }
+
+    return typeof exported === "function" ? exported() : exported;
+};
+
+/**
+ * Checks whether a token file is a JS module, whose tokens may depend on more
+ * than the file contents
+ * @param {string} filePath - Token file path
+ * @returns {boolean} True for JS files
+ */
+const isTokenModule = (filePath) => MODULE_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+
+/**
+ * Parses a JSON or JS token file
+ * @param {string} content - File contents
+ * @param {string} filePath - Absolute path of the token file
+ * @returns {Promise<Object>} Token tree
+ */
+const parseTokenFile = async (content, filePath) => {
+    const tokens = isTokenModule(filePath) ? await loadTokenModule(filePath) : JSON.parse(content);
+
+    if (!isPlainObject(tokens)) {
+        throw new Error("Token file must export an object of tokens");
+    }
+
+    return tokens;
+};
+
+module.exports = {
+    isPlainObject,
+    isTokenFile,
+    isTokenModule,
+    defaultTokenName,
+    tokensToDefinitions,
+    parseTokenFile
+};
@@ -0,0 +1,277 @@
+/**
+ * Built-in transforms applied to resolved values before they are inserted as
+ * fallbacks: unit conversion, constant calc() folding and modern color
+ * downleveling.
+ */
+
+const valueParser = require("./value-parser");
+const { downlevelColor } = require("./colors");
+
+const NUMBER = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i;
+const LENGTH = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(rem|px)$/i;
+
+/**
+ * Formats a computed number without floating point noise
+ * @param {number} value - Number
+ * @returns {string} Number rounded to 5 decimals
+ */
+const formatNumber = (value) => String(Number(value.toFixed(5)) || 0);
+
+/**
+ * Splits a calc() expression into numbers, operators and parentheses
+ *
+ * As in CSS, `+` and `-` need whitespace on both sides, so `calc(1px+2px)`,
+ * which browsers reject, is not folded either.
+ * @param {string} expression - Arguments of calc()
+ * @returns {Array<Object>|null} Tokens, or null when the expression isn't made of constants only
+ */
+const tokenizeCalc = (expression) => {
+    const tokens = [];
+    let i = 0;
+
+    while (i < expression.length) {
+        const rest = expression.slice(i);
+        const previous = tokens[tokens.length - 1];
+        const expectsOperand = !previous || previous.type === "operator" || previous.value === "(";
+        const space = /^\s+/.exec(rest);
+        const number = expectsOperand ? /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|[a-z]+)?/i.exec(rest) : null;
+        const paren = /^(?:calc\()|^[()]/i.exec(rest);
+
+        if (space) {
+            i += space[0].length;
+        } else if (number) {
+            tokens.push({ type: "number", value: parseFloat(number[1]), unit: (number[2] || "").toLowerCase() });
+            i += number[0].length;
+        } else if (paren) {
+            tokens.push({ type: "paren", value: paren[0] === ")" ? ")" : "(" });
+            i += paren[0].length;
+        } else if (!expectsOperand && (/^[*/]/.test(rest) || (/^[-+]\s/.test(rest) && /\s/.test(expression[i - 1])))) {
+            tokens.push({ type: "operator", value: rest[0] });
+            i++;
+        } else {
+            return null;
+        }
+    }
+
+    return tokens;
+};
+
+/**
+ * Evaluates the arguments of a calc() made of constants only
+ *
+ * Sums need operands of the same unit, products a unitless operand and
+ * divisions a unitless, non-zero divisor, so `calc(100% - 8px)` is kept.
+ * @param {string} expression - Arguments of calc()
+ * @returns {{value: number, unit: string}|null} Result, or null when it can't be computed statically
+ */
+const evaluateCalc = (expression) => {
+    const tokens = tokenizeCalc(expression);
+    let position = 0;
+
+    if (!tokens) {
+        return null;
+    }
+
+    const peek = () => tokens[position];
+
+    const parseFactor = () => {
+        const token = tokens[position++];
+
+        if (!token) {
+            return null;
+        }
+
+        if (token.type === "number") {
+            return { value: token.value, unit: token.unit };
+        }
+
+        if (token.value === "(") {
+            const inner = parseSum();
+
+            if (!inner || !peek() || peek().value !== ")") {
+                return null;
+            }
+
+            position++;
+            return inner;
+        }
+
+        return null;
+    };
+
+    const parseProduct = () => {
+        let left = parseFactor();
+
+        while (left && peek() && (peek().value === "*" || peek().value === "/") && peek().type === "operator") {
+            const operator = tokens[position++].value;
+            const right = parseFactor();
+
+            if (!right) {
+                return null;
+            }
+
+            if (operator === "*") {
+                left = left.unit && right.unit ? null : { value: left.value * right.value, unit: left.unit || right.unit };
+            } else {
+                left = right.unit || right.value === 0 ? null : { value: left.value / right.value, unit: left.unit };
+            }
+        }
+
+        return left;
+    };
+
+    const parseSum = () => {
+        let left = parseProduct();
+
+        while (left && peek() && (peek().value === "+" || peek().value === "-") && peek().type === "operator") {
+            const operator = tokens[position++].value;
+            const right = parseProduct();
+
+            if (!right || right.unit !== left.unit) {
+                return null;
+            }
+
+            left = { value: operator === "+" ? left.value + right.value : left.value - right.value, unit: left.unit };
+        }
+
+        return left;
+    };
+
+    const result = parseSum();
+
+    return result && position === tokens.length ? result : null;
+};
+
+/**
+ * Folds calc() expressions made of constants, e.g. `calc(4px * 4)` to `16px`
+ * @param {string} value - CSS value
+ * @returns {string} Value with constant calc() expressions computed
+ */
+const foldCalc = (value) => {
+    if (!/calc\(/i.test(value)) {
+        return value;
+    }
+
+    return valueParser.replaceFunctions(valueParser.parse(value), (node) => {
+        if (node.name.toLowerCase() !== "calc") {
+            return null;
+        }
+
+        const result = evaluateCalc(valueParser.stringify(node.nodes));
+
+        return result ? `${formatNumber(result.value)}${result.unit}` : null;
+    });
+};
+
+/**
+ * Converts rem lengths to px or px lengths to rem
+ * @param {string} value - CSS value
+ * @param {"px"|"rem"} unit - Target unit
+ * @param {number} rootFontSize - Size of 1rem in px
+ * @returns {string} Value with converted lengths
+ */
+const convertUnits = (value, unit, rootFontSize) => {
+    const nodes = valueParser.parse(value);
+
+    valueParser.walk(nodes, (node) => {
+        if (node.type === "function" && node.name.toLowerCase() === "url") {
+            return false;
+        }
+
+        if (node.type === "word" && NUMBER.test(node.value)) {
+            // Words may hold several lengths, e.g. the `1rem/1.5` of the font shorthand
+            node.value = node.value.split("/").map((part) => {
+                const match = LENGTH.exec(part);
+
+                if (!match || match[2].toLowerCase() === unit) {
+                    return part;
+                }
+
+                const number = parseFloat(match[1]);
+                return `${formatNumber(unit === "px" ? number * rootFontSize : number / rootFontSize)}${unit}`;
+            }).join("/");
+        }
+    });
+
+    return valueParser.stringify(nodes);
+};
+
+/**
+ * Downlevels modern color functions to hex or rgb()
+ * @param {string} value - CSS value
+ * @param {"hex"|"rgb"} format - Output format for opaque colors
+ * @returns {string} Value with converted colors
+ */
+const downlevelColors = (value, format) => {
+    if (!/\(/.test(value)) {
+        return value;
+    }
+
+    return valueParser.replaceFunctions(valueParser.parse(value), (node) => downlevelColor(node, format));
+};
+
+/**
+ * Creates the transform applied to every resolved value before insertion
+ *
+ * Built-in transforms run first (units, then calc(), then colors, so
+ * `calc(1rem + 4px)` folds once converted), followed by the user's transform.
+ * @param {Object} options - Plugin options
+ * @param {Function} [options.transform] - Called with (name, value, context)
+ * @param {boolean} [options.foldCalc] - Fold constant calc() expressions
+ * @param {boolean|"hex"|"rgb"} [options.downlevelColors] - Convert modern colors
+ * @param {"px"|"rem"} [options.convertUnits] - Convert rem and px lengths to this unit
+ * @param {number} [options.rootFontSize=16] - Size of 1rem in px
+ * @returns {Function|null} Transform returning the value to insert, or null to insert no fallback
+ */
+const createTransform = ({ transform, foldCalc: fold, downlevelColors: colors, convertUnits: unit, rootFontSize = 16 }) => {
+    if (transform !== undefined && typeof transform !== "function") {
+        throw new TypeError("The transform option must be a function");
+    }
+
+    if (unit && unit !== "px" && unit !== "rem") {
+        throw new TypeError(`Unknown convertUnits unit ${unit}, expected px or rem`);
+    }
+
+    if (colors && colors !== true && colors !== "hex" && colors !== "rgb") {
+        throw new TypeError(`Unknown downlevelColors format ${colors}, expected hex or rgb`);
+    }
+
+    if (!transform && !fold && !colors && !unit) {
+        return null;
+    }
+
+    return (name, value, context) => {
+        let transformed = value;
+
+        if (unit) {
+            transformed = convertUnits(transformed, unit, rootFontSize);
+        }
+
+        if (fold) {
+            transformed = foldCalc(transformed);
+        }
+
+        if (colors) {
+            transformed = downlevelColors(transformed, colors === "rgb" ? "rgb" : "hex");
+        }
+
+        if (!transform) {
+            return transformed;
+        }
+
+        const result = transform(name, transformed, context);
+
+        if (result === null || result === false) {
+            return null;
+        }
+
+        return typeof result === "string" ? result : transformed;
+    };
+};
+
+module.exports = {
+    foldCalc,
+    convertUnits,
+    downlevelColors,
+    createTransform
+};
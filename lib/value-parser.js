@@ -0,0 +1,339 @@
+/**
+ * Minimal CSS value tokenizer used by every pass of the plugin.
+ *
+ * It turns a declaration value into a small tree of nodes so that var()
+ * calls can be found and rewritten without being confused by nested
+ * functions, commas inside fallbacks, strings, escapes or comments.
+ * Stringifying an unmodified tree always returns the original input.
+ *
+ * Node types:
+ * - `word`     a run of non-whitespace characters
+ * - `space`    a run of whitespace
+ * - `comma`    a top-level `,` inside the current function
+ * - `string`   a quoted string, quotes included
+ * - `comment`  a `/* ... *\/` comment
+ * - `function` a `name( ... )` call (name is empty for bare parentheses)
+ */
+
+const WHITESPACE = /\s/;
+const VAR_FUNCTION = /var\(/i;
+
+/**
+ * Returns the index just after a string that starts at `start`
+ * @param {string} value - Source value
+ * @param {number} start - Index of the opening quote
+ * @returns {number} Index after the closing quote (or end of input)
+ */
+const scanString = (value, start) => {
+    const quote = value[start];
+    let i = start + 1;
+
+    while (i < value.length) {
+        const char = value[i];
+
+        if (char === "\\") {
+            i += 2;
+            continue;
+        }
+
+        i++;
+
+        if (char === quote || char === "\n") {
+            break;
+        }
+    }
+
+    return Math.min(i, value.length);
+};
+
+/**
+ * Returns the index of the closing parenthesis of an unquoted url()
+ * @param {string} value - Source value
+ * @param {number} start - Index just after `url(`
+ * @returns {number} Index of `)` or -1 when the url() is not an unquoted one
+ */
+const scanUnquotedUrl = (value, start) => {
+    let i = start;
+
+    while (i < value.length && WHITESPACE.test(value[i])) {
+        i++;
+    }
+
+    if (value[i] === "\"" || value[i] === "'") {
+        return -1;
+    }
+
+    while (i < value.length) {
+        if (value[i] === "\\") {
+            i += 2;
+            continue;
+        }
+
+        if (value[i] === ")") {
+            return i;
+        }
+
+        i++;
+    }
+
+    return -1;
+};
+
+/**
+ * Parses a CSS value into a node tree
+ * @param {string} value - CSS value, e.g. a declaration value
+ * @returns {Array<Object>} List of top-level nodes
+ */
+const parse = (value) => {
+    const root = { nodes: [] };
+    const stack = [root];
+    let buffer = "";
+    let bufferType = null;
+    let bufferStart = 0;
+    let i = 0;
+
+    const current = () => stack[stack.length - 1];
+
+    const flush = () => {
+        if (buffer) {
+            current().nodes.push({
+                type: bufferType,
+                value: buffer,
+                sourceIndex: bufferStart,
+                sourceEndIndex: bufferStart + buffer.length
+            });
+        }
+        buffer = "";
+        bufferType = null;
+    };
+
+    const append = (text, type) => {
+        if (bufferType !== type) {
+            flush();
+            bufferType = type;
+            bufferStart = i;
+        }
+        buffer += text;
+    };
+
+    const push = (type, end) => {
+        flush();
+        current().nodes.push({
+            type,
+            value: value.slice(i, end),
+            sourceIndex: i,
+            sourceEndIndex: end
+        });
+        i = end;
+    };
+
+    while (i < value.length) {
+        const char = value[i];
+
+        if (char === "/" && value[i + 1] === "*") {
+            const end = value.indexOf("*/", i + 2);
+            push("comment", end === -1 ? value.length : end + 2);
+        } else if (char === "\"" || char === "'") {
+            push("string", scanString(value, i));
+        } else if (char === "\\") {
+            append(value.slice(i, i + 2), "word");
+            i += 2;
+        } else if (char === ",") {
+            push("comma", i + 1);
+        } else if (char === "(") {
+            let name = "";
+            let sourceIndex = i;
+
+            if (bufferType === "word") {
+                name = buffer;
+                sourceIndex = bufferStart;
+                buffer = "";
+            }
+            flush();
+
+            const node = {
+                type: "function",
+                name,
+                nodes: [],
+                unclosed: true,
+                sourceIndex,
+                sourceEndIndex: value.length
+            };
+            current().nodes.push(node);
+            i++;
+
+            const urlEnd = name.toLowerCase() === "url" ? scanUnquotedUrl(value, i) : -1;
+
+            if (urlEnd !== -1) {
+                if (urlEnd > i) {
+                    node.nodes.push({
+                        type: "word",
+                        value: value.slice(i, urlEnd),
+                        sourceIndex: i,
+                        sourceEndIndex: urlEnd
+                    });
+                }
+                node.unclosed = false;
+                node.sourceEndIndex = urlEnd + 1;
+                i = urlEnd + 1;
+            } else {
+                stack.push(node);
+            }
+        } else if (char === ")" && stack.length > 1) {
+            flush();
+            const node = stack.pop();
+            node.unclosed = false;
+            node.sourceEndIndex = i + 1;
+            i++;
+        } else {
+            append(char, WHITESPACE.test(char) ? "space" : "word");
+            i++;
+        }
+    }
+
+    flush();
+
+    return root.nodes;
+};
+
+/**
+ * Serializes a node or a list of nodes back to CSS
+ * @param {Object|Array<Object>} nodes - Node or list of nodes
+ * @returns {string} CSS text
+ */
+const stringify = (nodes) => {
+    if (Array.isArray(nodes)) {
+        return nodes.map(stringify).join("");
+    }
+
+    if (nodes.type === "function") {
+        return `${nodes.name}(${stringify(nodes.nodes)}${nodes.unclosed ? "" : ")"}`;
+    }
+
+    return nodes.value;
+};
+
+/**
+ * Walks every node depth-first
+ * @param {Array<Object>} nodes - List of nodes
+ * @param {Function} callback - Called with (node, index, siblings); return false to skip children
+ */
+const walk = (nodes, callback) => {
+    nodes.forEach((node, index) => {
+        if (callback(node, index, nodes) !== false && node.type === "function") {
+            walk(node.nodes, callback);
+        }
+    });
+};
+
+/**
+ * Checks whether a node is a var() call
+ * @param {Object} node - Value node
+ * @returns {boolean} True for var() functions
+ */
+const isVarFunction = (node) => node.type === "function" && node.name.toLowerCase() === "var";
+
+/**
+ * Splits a var() node into the variable name and its optional fallback
+ * @param {Object} node - var() function node
+ * @returns {{name: string, fallback: Array<Object>|null}} Variable name and fallback nodes
+ */
+const parseVar = (node) => {
+    const commaIndex = node.nodes.findIndex((child) => child.type === "comma");
+    const nameNodes = commaIndex === -1 ? node.nodes : node.nodes.slice(0, commaIndex);
+
+    return {
+        name: stringify(nameNodes.filter((child) => child.type !== "comment")).trim(),
+        fallback: commaIndex === -1 ? null : node.nodes.slice(commaIndex + 1)
+    };
+};
+
+/**
+ * Quick check used to skip values that cannot contain var() calls
+ * @param {string} value - CSS value
+ * @returns {boolean} True if the value may contain var()
+ */
+const hasVar = (value) => VAR_FUNCTION.test(value);
+
+/**
+ * Collects the names of every variable referenced by a value, fallbacks included
+ * @param {string} value - CSS value
+ * @returns {Array<string>} Referenced variable names in source order
+ */
+const collectVarNames = (value) => {
+    const names = [];
+
+    if (!hasVar(value)) {
+        return names;
+    }
+
+    walk(parse(value), (node) => {
+        if (isVarFunction(node)) {
+            names.push(parseVar(node).name);
+        }
+    });
+
+    return names;
+};
+
+/**
+ * Serializes nodes while letting a callback replace var() calls
+ *
+ * The replacer receives the parsed var() ({ name, fallback }) and the node.
+ * Returning a string replaces the whole call; returning null keeps the call
+ * and continues into its arguments so nested var() calls are still visited.
+ * @param {Array<Object>} nodes - List of nodes
+ * @param {Function} replacer - Replacement callback
+ * @returns {string} CSS text
+ */
+const replaceVars = (nodes, replacer) => nodes.map((node) => {
+    if (node.type !== "function") {
+        return node.value;
+    }
+
+    if (isVarFunction(node)) {
+        const replacement = replacer(parseVar(node), node);
+
+        if (replacement !== null && replacement !== undefined) {
+            return replacement;
+        }
+    }
+
+    return `${node.name}(${replaceVars(node.nodes, replacer)}${node.unclosed ? "" : ")"}`;
+}).join("");
+
+/**
+ * Serializes nodes while letting a callback replace function calls
+ *
+ * The replacer receives every function node, outermost first. Returning a
+ * string replaces the whole call; returning null keeps the call and continues
+ * into its arguments.
+ * @param {Array<Object>} nodes - List of nodes
+ * @param {Function} replacer - Replacement callback
+ * @returns {string} CSS text
+ */
+const replaceFunctions = (nodes, replacer) => nodes.map((node) => {
+    if (node.type !== "function") {
+        return node.value;
+    }
+
+    const replacement = node.unclosed ? null : replacer(node);
+
+    if (replacement !== null && replacement !== undefined) {
+        return replacement;
+    }
+
+    return `${node.name}(${replaceFunctions(node.nodes, replacer)}${node.unclosed ? "" : ")"}`;
+}).join("");
+
+module.exports = {
+    parse,
+    stringify,
+    walk,
+    isVarFunction,
+    parseVar,
+    hasVar,
+    collectVarNames,
+    replaceVars,
+    replaceFunctions
+};